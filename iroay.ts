@@ -1,23 +1,52 @@
-export { Color, ColorSpace } from './src/color';
+export { Color, ColorSpace, NBS_DIFFERENCE_METHODS } from './src/color';
+export type { DifferenceMethod, NbsDifferenceMethod } from './src/color';
 export * as ColorUtil from './src/color-util';
 
+export * as Apca from './src/eval/apca';
 export * as Category from './src/eval/category';
 export * as Conspicuity from './src/eval/conspicuity';
+export * as Contrast from './src/eval/contrast';
 export * as Difference from './src/eval/difference';
+export * as Adaptation from './src/adaptation';
+export * as Gamut from './src/gamut';
+export * as ContrastFix from './src/contrast-fix';
+export * as Audit from './src/audit';
 export * as AgeSimulation from './src/sim/age';
 export * as ColorVisionSimulation from './src/sim/color-vision';
 
 export * as Hsl from './src/cs/hsl';
+export * as Hsv from './src/cs/hsv';
+export * as Hwb from './src/cs/hwb';
 export * as Lab from './src/cs/lab';
 export * as Lch from './src/cs/lch';
+export * as Luv from './src/cs/luv';
+export * as Lchuv from './src/cs/lchuv';
+export * as Hsluv from './src/cs/hsluv';
+export * as Hpluv from './src/cs/hpluv';
+export * as Oklab from './src/cs/oklab';
+export * as Oklch from './src/cs/oklch';
+export * as Jzazbz from './src/cs/jzazbz';
+export * as Jzczhz from './src/cs/jzczhz';
+export * as Ictcp from './src/cs/ictcp';
+export * as Cam from './src/cs/cam';
+export * as Cam16Ucs from './src/cs/cam16-ucs';
 export * as Lms from './src/cs/lms';
 export * as Lrgb from './src/cs/lrgb';
 export * as Rgb from './src/cs/rgb';
+export * as RgbSpace from './src/cs/rgb-space';
+export * as Srgb from './src/cs/srgb';
 export * as Xyz from './src/cs/xyz';
 export * as Yiq from './src/cs/yiq';
+export * as Ycbcr from './src/cs/ycbcr';
+export * as Ycocg from './src/cs/ycocg';
 export * as Xyy from './src/cs/xyy';
+export * as Uvy from './src/cs/uvy';
 export * as Munsell from './src/cs/munsell';
 export * as Pccs from './src/cs/pccs';
 
-export { convert, getConverter } from './src/conv';
+export { convert, getConverter, findPath, registerSpace, getSpace, hasSpace } from './src/conv';
+export type { Channel, SpaceDefinition } from './src/conv';
+export type { Context, LmsMethod, PccsMethod, OkajimaOption, Saturation } from './src/context';
+export { ILLUMINANTS, ILLUMINANTS_xy, SDR_WHITE_LUMINANCE } from './src/const';
+export type { Illuminant } from './src/const';
 export { fromInteger, toInteger, toMonochromeRgb } from './src/util';
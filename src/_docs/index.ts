@@ -2,12 +2,12 @@
  * Script for Sample
  *
  * @author Takuto Yanagida
- * @version 2025-02-25
+ * @version 2026-10-19
  */
 
 import 'klales/klales.min.css';
 import { PI2, atan2rad, mag } from '../math.ts';
-import { Color, ColorSpace, ColorUtil, Munsell } from './../../iroay.ts';
+import { Color, ColorSpace, ColorUtil } from './../../iroay.ts';
 
 type Triplet = [number, number, number];
 
@@ -220,7 +220,7 @@ function drawChartMunsellFromXyz(w: number, h: number, ctx: CanvasRenderingConte
 		for (let x: number = 0; x < w; x += 1) {
 			c.set(ColorSpace.Xyz, [x / (w - 1), v, y / (h - 1)]);
 			c2.set(ColorSpace.Munsell, c.asMunsell());
-			const s: boolean = Munsell.isSaturated;
+			const s: boolean = c.isMunsellSaturated();
 
 			const rgb: Triplet = c2.asRgb();
 			if (ss || !s || 0 === (x + y) % 7) {
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+
+import { adapt, getMatrix, whitePointOf } from '../adaptation';
+import { ILLUMINANTS } from '../const';
+
+describe('Chromatic adaptation', () => {
+	it('maps the source white point to the destination white point', () => {
+		for (const method of ['xyz-scaling', 'von-kries', 'bradford', 'cat02', 'cat16'] as const) {
+			const w = adapt(ILLUMINANTS.D65, 'D65', 'D50', method);
+			expect(w[0]).toBeCloseTo(ILLUMINANTS.D50[0], 10);
+			expect(w[1]).toBeCloseTo(ILLUMINANTS.D50[1], 10);
+			expect(w[2]).toBeCloseTo(ILLUMINANTS.D50[2], 10);
+		}
+	});
+
+	it('matches the well-known Bradford D65 to D50 matrix', () => {
+		const m = getMatrix([0.95047, 1, 1.08883], [0.96422, 1, 0.82521], 'bradford');
+		expect(m[0][0]).toBeCloseTo(1.0478112, 6);
+		expect(m[0][1]).toBeCloseTo(0.0228866, 6);
+		expect(m[2][2]).toBeCloseTo(0.7521316, 6);
+	});
+
+	it('round-trips between white points', () => {
+		const xyz: [number, number, number] = [0.2, 0.3, 0.4];
+		const back = adapt(adapt(xyz, 'A', 'F11', 'cat16'), 'F11', 'A', 'cat16');
+		expect(back[0]).toBeCloseTo(xyz[0], 10);
+		expect(back[1]).toBeCloseTo(xyz[1], 10);
+		expect(back[2]).toBeCloseTo(xyz[2], 10);
+	});
+
+	it('returns a copy of the cached adaptation matrix', () => {
+		const m = getMatrix('C', 'D65', 'von-kries');
+		expect(getMatrix('C', 'D65', 'von-kries')).toEqual(m);
+		expect(getMatrix('C', 'D65', 'von-kries')).not.toBe(m);
+		expect(getMatrix('E', 'E', 'cat02')[1][1]).toBeCloseTo(1, 10);
+
+		const xyz: [number, number, number] = [0.3, 0.4, 0.5];
+		const expected = adapt(xyz, 'C', 'D65', 'von-kries');
+		m[0][0] = 0;
+		m[1] = [0, 0, 0];
+		expect(adapt(xyz, 'C', 'D65', 'von-kries')).toEqual(expected);
+		expect(getMatrix('C', 'D65', 'von-kries')[0][0]).not.toBe(0);
+	});
+
+	it('throws for unknown illuminants', () => {
+		expect(() => adapt([0, 0, 0], 'D60' as 'D65', 'D65')).toThrow("Unknown illuminant: 'D60'.");
+		expect(() => whitePointOf('toString' as 'D65')).toThrow("Unknown illuminant: 'toString'.");
+		expect(() => whitePointOf('constructor' as 'D65')).toThrow("Unknown illuminant: 'constructor'.");
+	});
+});
\ No newline at end of file
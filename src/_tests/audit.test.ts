@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+
+import { auditPair, auditPalette, VISIONS } from '../audit';
+import { Color, ColorSpace } from '../color';
+import { NBS } from '../eval/difference';
+
+describe('Accessibility audit', () => {
+	const red = new Color(ColorSpace.Rgb, [255, 0, 51]);
+	const green = new Color(ColorSpace.Rgb, [0, 170, 0]);
+	const black = new Color(ColorSpace.Rgb, [0, 0, 0]);
+	const white = new Color(ColorSpace.Rgb, [255, 255, 255]);
+
+	it('reports every color vision by default', () => {
+		const ret = auditPair(black, white);
+		expect(Object.keys(ret.visions)).toEqual(VISIONS);
+		expect(ret.visions.normal!.contrast).toBeCloseTo(21);
+		expect(ret.visions.normal!.apca).toBeCloseTo(106.04, 2);
+		expect(ret.visions.normal!.difference).toBeCloseTo(100, 4);
+		expect(ret.flagged).toEqual([]);
+	});
+
+	it('evaluates the simulated colors', () => {
+		const ret = auditPair(red, green);
+		const p = red.toProtanopia().differenceFrom(green.toProtanopia());
+		const d = red.toDeuteranopia().differenceFrom(green.toDeuteranopia());
+		expect(ret.visions.protanopia!.difference).toBeCloseTo(p);
+		expect(ret.visions.deuteranopia!.difference).toBeCloseTo(d);
+		expect(ret.visions.deuteranopia!.contrast).toBeCloseTo(red.toDeuteranopia().contrastRatioWith(green.toDeuteranopia()));
+		expect(ret.visions.tritanopia!.difference).toBeCloseTo(red.toTritanopia().differenceFrom(green.toTritanopia()));
+		expect(ret.visions.elderly!.difference).toBeCloseTo(red.toElderly().differenceFrom(green.toElderly()));
+	});
+
+	it('flags a pair that becomes indistinguishable', () => {
+		const ret = auditPair(red, green);
+		expect(ret.visions.normal!.indistinguishable).toBe(false);
+		expect(ret.visions.deuteranopia!.indistinguishable).toBe(true);
+		expect(ret.flagged).toEqual(['deuteranopia']);
+
+		expect(auditPair(red, green, { minimum: NBS.Trace }).flagged).toEqual([]);
+		expect(auditPair(red, green, { visions: ['protanopia'] }).flagged).toEqual([]);
+	});
+
+	it('does not flag an appreciable difference by default', () => {
+		const r = new Color(ColorSpace.Rgb, [204, 0, 0]);
+		const g = new Color(ColorSpace.Rgb, [0, 153, 0]);
+		expect(auditPair(r, g).visions.deuteranopia!.category).toBe(NBS.Appreciable);
+		expect(auditPair(r, g).flagged).toEqual([]);
+		expect(auditPair(r, g, { minimum: NBS.Much }).flagged).toEqual(['deuteranopia']);
+	});
+
+	it('flags a pair confused in tritanopia', () => {
+		const ret = auditPair(new Color(ColorSpace.Rgb, [230, 230, 60]), new Color(ColorSpace.Rgb, [240, 210, 230]));
+		expect(ret.visions.tritanopia!.difference).toBeLessThan(2);
+		expect(ret.flagged).toEqual(['tritanopia']);
+	});
+
+	it('accepts only color differences on the scale of CIELAB', () => {
+		expect(auditPair(red, green, { method: 'cie76' }).visions.normal!.indistinguishable).toBe(false);
+		expect(() => auditPair(black, white, { method: 'ez' as 'cie76' })).toThrow("Color difference 'ez' cannot be classified by NBS unit.");
+		expect(() => auditPalette([black, white], { method: 'itp' as 'cie76' })).toThrow();
+	});
+
+	it('does not flag a pair indistinguishable already under normal vision', () => {
+		const ret = auditPair(new Color(ColorSpace.Rgb, [120, 120, 120]), new Color(ColorSpace.Rgb, [121, 121, 121]));
+		expect(ret.visions.normal!.indistinguishable).toBe(true);
+		expect(ret.flagged).toEqual([]);
+	});
+
+	it('composites translucent colors before the simulation', () => {
+		const ret = auditPair(new Color(ColorSpace.Rgb, [0, 0, 0], 0.5), white);
+		expect(ret.visions.normal!.contrast).toBeCloseTo(new Color(ColorSpace.Rgb, [128, 128, 128]).contrastRatioWith(white), 1);
+	});
+
+	it('audits all the pairs of a palette', () => {
+		const ret = auditPalette([red, green, black], { visions: ['normal', 'deuteranopia'] });
+		expect(ret.map(r => r.indices)).toEqual([[0, 1], [0, 2], [1, 2]]);
+		expect(ret[0].flagged).toEqual(['deuteranopia']);
+		expect(Object.keys(ret[2].visions)).toEqual(['normal', 'deuteranopia']);
+	});
+});
\ No newline at end of file
@@ -22,5 +22,68 @@ describe('ColorUtil', () => {
 		expect(ColorUtil.toStringRgb(color as NonNullable<typeof color>)).toBe('rgb(255 0 0)');
 		expect(ColorUtil.toStringHex(color as NonNullable<typeof color>)).toBe('#ff0000');
 		expect(ColorUtil.toStringHsl(color as NonNullable<typeof color>)).toBe('hsl(0 100% 50%)');
+		expect(ColorUtil.toStringHwb(color as NonNullable<typeof color>)).toBe('hwb(0 0% 0%)');
+	});
+
+	it('parses HWB strings', () => {
+		const color = ColorUtil.fromString('hwb(120 20% 20% / 0.5)');
+		expect(color?.toString()).toBe('Hwb[120, 20, 20, 0.5]');
+		expect(color?.as(ColorSpace.Rgb)).toEqual([51, 204, 51]);
+	});
+
+	it('parses and formats OKLab and OKLCh strings', () => {
+		const oklab = ColorUtil.fromString('oklab(40% 0.1 -0.05 / 0.5)');
+		expect(oklab?.toString()).toBe('Oklab[0.4, 0.1, -0.05, 0.5]');
+		expect(ColorUtil.toStringOklab(oklab as NonNullable<typeof oklab>)).toBe('oklab(40% 0.1 -0.05 / 0.5)');
+
+		const oklch = ColorUtil.fromString('oklch(60% 0.15 250)');
+		expect(oklch?.toString()).toBe('Oklch[0.6, 0.15, 250]');
+		expect(ColorUtil.toStringOklch(oklch as NonNullable<typeof oklch>)).toBe('oklch(60% 0.15 250)');
+	});
+
+	it('parses and formats HSV strings', () => {
+		const hsv = ColorUtil.fromString('hsb(120deg 50% 80% / 0.5)');
+		expect(hsv?.toString()).toBe('Hsv[120, 50, 80, 0.5]');
+		expect(hsv?.asRgb()).toEqual([102, 204, 102]);
+		expect(ColorUtil.toStringHsv(hsv as NonNullable<typeof hsv>)).toBe('hsv(120 50% 80% / 0.5)');
+	});
+
+	it('parses and formats HSLuv and HPLuv strings', () => {
+		const hsluv = ColorUtil.fromString('hsluv(250 80% 40% / 0.5)');
+		expect(hsluv?.toString()).toBe('Hsluv[250, 80, 40, 0.5]');
+		expect(ColorUtil.toStringHsluv(hsluv as NonNullable<typeof hsluv>)).toBe('hsluv(250 80% 40% / 0.5)');
+
+		const hpluv = ColorUtil.fromString('hpluv(250 80% 40%)');
+		expect(hpluv?.toString()).toBe('Hpluv[250, 80, 40]');
+		expect(ColorUtil.toStringHpluv(hpluv as NonNullable<typeof hpluv>)).toBe('hpluv(250 80% 40%)');
+
+		const red = ColorUtil.fromString('rgb(255 0 0)');
+		expect(ColorUtil.toStringHsluv(red as NonNullable<typeof red>)).toBe('hsluv(12.2 100% 53.2%)');
+	});
+
+	it('parses and formats Lab and LCH strings relative to D50', () => {
+		const lab = ColorUtil.fromString('lab(54.29% 80.82 69.91)');
+		expect(lab?.toString()).toBe('Lab50[54.29, 80.82, 69.91]');
+		expect(lab?.asRgb()).toEqual([255, 0, 0]);
+
+		const blue = ColorUtil.fromString('rgb(0 0 255)');
+		expect(ColorUtil.toStringLab(blue as NonNullable<typeof blue>)).toBe('lab(29.5672% 68.2977 -112.0293)');
+		expect(ColorUtil.toStringLch(blue as NonNullable<typeof blue>)).toBe('lch(29.5672% 131.2065 301.3682)');
+	});
+
+	it('parses and formats color() strings', () => {
+		const p3 = ColorUtil.fromString('color(display-p3 1 0 0 / 0.5)');
+		expect(p3?.toString()).toBe('display-p3[1, 0, 0, 0.5]');
+		expect(ColorUtil.toStringColor(p3 as NonNullable<typeof p3>, 'display-p3')).toBe('color(display-p3 1 0 0 / 0.5)');
+		expect(ColorUtil.toStringColor(p3 as NonNullable<typeof p3>, 'rec2020')).toBe('color(rec2020 0.8688 0.1751 -0.0054 / 0.5)');
+
+		const red = ColorUtil.fromString('color(srgb 1 0 0)');
+		expect(red?.asRgb()).toEqual([255, 0, 0]);
+		expect(ColorUtil.toStringColor(red as NonNullable<typeof red>)).toBe('color(srgb 1 0 0)');
+		const white = ColorUtil.fromString('color(xyz-d50 0.964212 1 0.825188)');
+		expect(white?.asLab50()[0]).toBeCloseTo(100, 6);
+		expect(white?.asLab50()[1]).toBeCloseTo(0, 2);
+		expect(ColorUtil.fromString('color(unknown 1 0 0)')).toBeNull();
+		expect(() => ColorUtil.toStringColor(red as NonNullable<typeof red>, 'unknown')).toThrow();
 	});
 });
\ No newline at end of file
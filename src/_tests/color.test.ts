@@ -1,6 +1,8 @@
 import { describe, expect, it } from 'vitest';
 
 import { Color, ColorSpace } from '../color';
+import { convert, registerSpace } from '../conv';
+import { ConversionMethod as LmsMethod } from '../cs/lms';
 
 describe('Color', () => {
 	it('represents an empty color by default', () => {
@@ -22,6 +24,24 @@ describe('Color', () => {
 		expect(color.toString()).toBe('Hsl[0, 100, 50]');
 	});
 
+	it('converts HWB colors to RGB and back', () => {
+		const color = new Color(ColorSpace.Hwb, [0, 0, 0]);
+
+		expect(color.asRgb()).toEqual([255, 0, 0]);
+		expect(new Color(ColorSpace.Rgb, [255, 0, 0]).as(ColorSpace.Hwb)).toEqual([0, 0, 0]);
+	});
+
+	it('converts between OKLab, OKLCh and RGB', () => {
+		const color = new Color(ColorSpace.Oklch, [0.627955, 0.257627, 29.2339]);
+		const rgb = color.asRgb();
+
+		expect(rgb[0]).toBeGreaterThanOrEqual(254);
+		expect(rgb[1]).toBe(0);
+		expect(rgb[2]).toBe(0);
+		expect(color.asOklab()[0]).toBeCloseTo(0.627955, 6);
+		expect(new Color(ColorSpace.Lrgb, [1, 0, 0]).as(ColorSpace.Oklch)[2]).toBeCloseTo(29.2339, 3);
+	});
+
 	it('updates alpha and color space with set', () => {
 		const color = new Color(ColorSpace.Rgb, [1, 2, 3]);
 
@@ -36,4 +56,210 @@ describe('Color', () => {
 
 		expect(color.differenceFrom(color)).toBe(0);
 	});
+
+	it('agrees with convert() along the conversion graph', () => {
+		const color = new Color(ColorSpace.Hsl, [200, 60, 40]);
+
+		expect(color.asLch()).toEqual(convert([200, 60, 40], 'hsl', 'lch'));
+		expect(color.asTone()).toEqual(convert([200, 60, 40], 'hsl', 'tone'));
+		expect(color.asOklab()).toEqual(convert([200, 60, 40], 'hsl', 'oklab'));
+	});
+
+	it('handles user-defined color spaces by name', () => {
+		registerSpace({
+			name: 'BrandTone',
+			channels: [{ name: 'l' }, { name: 'a' }, { name: 'b' }],
+			base: 'lab',
+			fromBase: ([l, a, b]) => [l / 100, a / 100, b / 100],
+			toBase: ([l, a, b]) => [l * 100, a * 100, b * 100],
+		});
+		const color = new Color('BrandTone', [0.5, 0, 0]);
+
+		expect(color.toString()).toBe('BrandTone[0.5, 0, 0]');
+		expect(color.asLab()).toEqual([50, 0, 0]);
+		expect(color.asMunsell()).toEqual(convert([0.5, 0, 0], 'brandtone', 'munsell'));
+		expect(new Color(ColorSpace.Lab, [50, 0, 0]).as('brandtone')).toEqual([0.5, 0, 0]);
+	});
+
+	it('keeps floating-point sRGB unclamped', () => {
+		const color = new Color(ColorSpace.Lab, [60, 90, -20]);
+		const srgb = color.asSrgb();
+
+		expect(srgb[0]).toBeGreaterThan(1);
+		expect(color.isRGBSaturated(true)).toBe(true);
+
+		const back = new Color(ColorSpace.Srgb, srgb).asLab();
+		expect(back[0]).toBeCloseTo(60, 4);
+		expect(back[1]).toBeCloseTo(90, 4);
+		expect(back[2]).toBeCloseTo(-20, 4);
+	});
+
+	it('converts floating-point sRGB to 8-bit RGB by the rounding mode of the context', () => {
+		const color = new Color(ColorSpace.Srgb, [1, 0.5, 0]);
+		expect(color.asRgb()).toEqual([255, 127, 0]);
+		expect(color.isRGBSaturated()).toBe(false);
+
+		const rounded = new Color(ColorSpace.Srgb, [1, 0.5, 0], 1, { rounding: 'round' });
+		expect(rounded.asRgb()).toEqual([255, 128, 0]);
+	});
+
+	it('gives the same 8-bit RGB with and without clipping for colors within the gamut', () => {
+		const gray = new Color(ColorSpace.Lab, [50, 0, 0]);
+		expect(gray.asRgb()).toEqual([118, 118, 118]);
+		expect(gray.asRgb('clip')).toEqual(gray.asRgb());
+
+		const rounded = new Color(ColorSpace.Lab, [50, 0, 0], 1, { rounding: 'round' });
+		expect(rounded.asRgb()).toEqual([119, 119, 119]);
+		expect(rounded.asRgb('clip')).toEqual(rounded.asRgb());
+	});
+
+	it('converts with the settings of its own context', () => {
+		const bradford = new Color(ColorSpace.Xyz, [0.25, 0.5, 0.75], 1, { lms: LmsMethod.BRADFORD });
+		const standard = new Color(ColorSpace.Xyz, [0.25, 0.5, 0.75]);
+
+		expect(bradford.asLms()).not.toEqual(standard.asLms());
+		expect(bradford.asLms()).toEqual(convert([0.25, 0.5, 0.75], 'xyz', 'lms', null, { lms: LmsMethod.BRADFORD }));
+		expect(bradford.toMonochrome().context()).toEqual(bradford.context());
+	});
+
+	it('keeps the saturation of each color independent', () => {
+		const saturated = new Color(ColorSpace.Lab, [60, 90, -20]);
+		const inGamut = new Color(ColorSpace.Lab, [60, 10, -20]);
+
+		saturated.asRgb();
+		inGamut.asRgb();
+		expect(saturated.isRGBSaturated()).toBe(true);
+		expect(inGamut.isRGBSaturated()).toBe(false);
+	});
+
+	it('converts to color appearance models under the viewing conditions of its context', () => {
+		const viewing = { white: 'D65' as const, adaptingLuminance: 10, backgroundLuminance: 20, surround: 'dim' as const };
+		const average = new Color(ColorSpace.Rgb, [200, 40, 40]);
+		const dim = new Color(ColorSpace.Rgb, [200, 40, 40], 1, { viewing });
+
+		expect(dim.asCam16()).not.toEqual(average.asCam16());
+		expect(dim.asAppearance().J).toBeCloseTo(dim.asCam16()[0], 10);
+		expect(dim.asAppearance('ciecam02').C).toBeCloseTo(dim.asCiecam02()[1], 10);
+		const back = new Color(ColorSpace.Cam16, dim.asCam16(), 1, { viewing }).asSrgb();
+		expect(back[0] * 255).toBeCloseTo(200, 3);
+		expect(back[1] * 255).toBeCloseTo(40, 3);
+		expect(back[2] * 255).toBeCloseTo(40, 3);
+	});
+
+	it('calculates color differences in CAM16-UCS and its variants', () => {
+		const c1 = new Color(ColorSpace.Rgb, [200, 40, 40]);
+		const c2 = new Color(ColorSpace.Rgb, [190, 50, 40]);
+
+		expect(c1.differenceFrom(c1, 'cam16ucs')).toBe(0);
+		expect(c1.differenceFrom(c2, 'cam16ucs')).toBeCloseTo(c2.differenceFrom(c1, 'cam16ucs'), 10);
+		expect(c1.differenceFrom(c2, 'cam16scd')).toBeLessThan(c1.differenceFrom(c2, 'cam16lcd'));
+
+		const back = new Color(ColorSpace.Cam16Ucs, c1.asCam16Ucs()).asCam16();
+		expect(back[0]).toBeCloseTo(c1.asCam16()[0], 10);
+		expect(back[1]).toBeCloseTo(c1.asCam16()[1], 10);
+	});
+
+	it('converts to CIELUV, LCh(uv) and u\'v\'Y', () => {
+		const color = new Color(ColorSpace.Rgb, [255, 0, 0]);
+
+		expect(color.asLuv()[0]).toBeCloseTo(color.asLab()[0], 10);
+		expect(color.asLchuv()[1]).toBeCloseTo(Math.hypot(color.asLuv()[1], color.asLuv()[2]), 10);
+		expect(color.asUvy()[2]).toBeCloseTo(color.asXyz()[1], 10);
+		expect(convert(color.asLchuv(), 'lchuv', 'srgb')[0]).toBeCloseTo(1, 4);
+	});
+
+	it('converts to HDR color spaces with the luminance of the context', () => {
+		const c1 = new Color(ColorSpace.Rgb, [200, 40, 40]);
+		const c2 = new Color(ColorSpace.Rgb, [190, 50, 40]);
+		const bright = new Color(ColorSpace.Rgb, [200, 40, 40], 1, { luminance: 1000 });
+
+		expect(bright.asJzazbz()[0]).toBeGreaterThan(c1.asJzazbz()[0]);
+		expect(bright.asIctcp()[0]).toBeGreaterThan(c1.asIctcp()[0]);
+		expect(c1.asJzczhz()[1]).toBeCloseTo(Math.hypot(c1.asJzazbz()[1], c1.asJzazbz()[2]), 10);
+
+		expect(c1.differenceFrom(c1, 'itp')).toBe(0);
+		expect(c1.differenceFrom(c2, 'itp')).toBeGreaterThan(0);
+		expect(c1.differenceFrom(c2, 'ez')).toBeCloseTo(c2.differenceFrom(c1, 'ez'), 10);
+	});
+
+	it('converts to YCbCr and checks broadcast-legal colors', () => {
+		const red = new Color(ColorSpace.Rgb, [255, 0, 0]);
+		expect(red.asYcbcr709()).toEqual([63, 102, 240]);
+		expect(red.asYcbcr601()).toEqual([81, 90, 240]);
+		expect(new Color(ColorSpace.Rgb, [255, 255, 255], 1, { ycbcr: { bitDepth: 10 } }).asYcbcr2020()).toEqual([940, 512, 512]);
+		expect(red.asYcocg()).toEqual([0.25, 0.5, -0.25]);
+
+		expect(red.isBroadcastLegal()).toBe(true);
+		expect(new Color(ColorSpace.Ycbcr709, [128, 128, 16]).isBroadcastLegal()).toBe(false);
+		expect(new Color(ColorSpace.Oklch, [0.9, 0.4, 150]).isBroadcastLegal('bt601')).toBe(false);
+	});
+
+	it('calculates CIE94 and CMC l:c differences from the reference color', () => {
+		const sample = new Color(ColorSpace.Lab, [62, 28, 25]);
+		const reference = new Color(ColorSpace.Lab, [60, 30, 20]);
+
+		expect(sample.differenceFrom(reference, 'cie94')).toBeCloseTo(3.9509, 4);
+		expect(sample.differenceFrom(reference, 'cie94textiles')).toBeLessThan(sample.differenceFrom(reference, 'cie94'));
+		expect(sample.differenceFrom(reference, 'cmc21')).toBeCloseTo(4.7759, 4);
+		expect(sample.differenceFrom(reference, 'cmc11')).toBeCloseTo(4.9913, 4);
+	});
+
+	it('breaks the CIEDE2000 difference down into components', () => {
+		const sample = new Color(ColorSpace.Lab, [62, 28, 25]);
+		const reference = new Color(ColorSpace.Lab, [60, 30, 20]);
+		const c = sample.differenceComponentsFrom(reference);
+
+		expect(c.deltaE).toBeCloseTo(sample.differenceFrom(reference), 10);
+		expect(c.deltaL).toBeCloseTo(2, 10);
+		expect(sample.differenceComponentsFrom(reference, 2).deltaE).toBeLessThan(c.deltaE);
+	});
+
+	it('classifies the difference by NBS unit', () => {
+		const sample = new Color(ColorSpace.Lab, [62, 28, 25]);
+		const reference = new Color(ColorSpace.Lab, [60, 30, 20]);
+
+		const c = sample.nbsFrom(reference);
+		expect(c.nbs).toBeCloseTo(sample.differenceFrom(reference) * 0.92, 10);
+		expect(c.label).toBe('Appreciable');
+		expect(sample.nbsFrom(reference, 'cie76', 'ja').label).toBe('目立つほどに異なる');
+
+		expect(() => sample.nbsFrom(reference, 'ez' as 'cie76')).toThrow("Color difference 'ez' cannot be classified by NBS unit.");
+		expect(() => sample.nbsFrom(reference, 'itp' as 'cie76')).toThrow();
+	});
+
+	it('calculates the contrast ratio of WCAG 2.x', () => {
+		const white = new Color(ColorSpace.Rgb, [255, 255, 255]);
+		const gray = new Color(ColorSpace.Rgb, [0x76, 0x76, 0x76]);
+
+		expect(white.relativeLuminance()).toBeCloseTo(1, 10);
+		expect(gray.contrastRatioWith(white)).toBeCloseTo(4.54, 2);
+		expect(white.contrastRatioWith(gray)).toBeCloseTo(gray.contrastRatioWith(white), 10);
+		expect(gray.meetsWcagWith(white)).toBe(true);
+		expect(gray.meetsWcagWith(white, 'AAA')).toBe(false);
+		expect(gray.meetsWcagWith(white, 'AAA', 'large')).toBe(true);
+	});
+
+	it('composites translucent colors before calculating the contrast ratio', () => {
+		const white = new Color(ColorSpace.Rgb, [255, 255, 255]);
+		const black = new Color(ColorSpace.Rgb, [0, 0, 0]);
+		const translucent = new Color(ColorSpace.Rgb, [0, 0, 0], 0.5);
+
+		expect(translucent.contrastRatioWith(white)).toBeCloseTo(new Color(ColorSpace.Rgb, [127.5, 127.5, 127.5]).contrastRatioWith(white), 10);
+		expect(translucent.contrastRatioWith(white)).toBeLessThan(black.contrastRatioWith(white));
+		expect(black.contrastRatioWith(new Color(ColorSpace.Rgb, [0, 0, 0], 0))).toBeCloseTo(21, 10);
+		expect(black.contrastRatioWith(new Color(ColorSpace.Rgb, [0, 0, 0], 0), black)).toBeCloseTo(1, 10);
+	});
+
+	it('calculates the lightness contrast of APCA', () => {
+		const white = new Color(ColorSpace.Rgb, [255, 255, 255]);
+		const gray = new Color(ColorSpace.Rgb, [0x88, 0x88, 0x88]);
+
+		expect(gray.apcaContrastWith(white)).toBeCloseTo(63.0565, 4);
+		expect(white.apcaContrastWith(gray)).toBeCloseTo(-68.5415, 4);
+		expect(gray.apcaMinimumFontSizeWith(white)).toBe(24);
+		expect(gray.apcaMinimumFontSizeWith(white, 700)).toBe(16);
+
+		const translucent = new Color(ColorSpace.Rgb, [0, 0, 0], 0.5);
+		expect(translucent.apcaContrastWith(white)).toBeCloseTo(new Color(ColorSpace.Rgb, [127.5, 127.5, 127.5]).apcaContrastWith(white), 10);
+	});
 });
\ No newline at end of file
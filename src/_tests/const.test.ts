@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 
-import { D50_XYZ, D50_xyz, D65_XYZ, D65_xyz } from '../const';
+import { D50_XYZ, D50_xyz, D65_XYZ, D65_xyz, ILLUMINANTS } from '../const';
 
 describe('Color constants', () => {
 	it('defines D50 tristimulus values', () => {
@@ -16,4 +16,13 @@ describe('Color constants', () => {
 		expect(D65_XYZ[1]).toBe(1);
 		expect(D65_XYZ[2]).toBeCloseTo(1.089, 3);
 	});
+
+	it('defines standard illuminants', () => {
+		expect(ILLUMINANTS.D65).toEqual(D65_XYZ);
+		expect(ILLUMINANTS.D50).toEqual(D50_XYZ);
+		expect(ILLUMINANTS.E).toEqual([1, 1, 1]);
+		expect(ILLUMINANTS.A[0]).toBeCloseTo(1.0985, 4);
+		expect(ILLUMINANTS.A[2]).toBeCloseTo(0.3558, 4);
+		expect(Object.keys(ILLUMINANTS)).toEqual(['A', 'C', 'D50', 'D55', 'D65', 'D75', 'E', 'F2', 'F7', 'F11']);
+	});
 });
\ No newline at end of file
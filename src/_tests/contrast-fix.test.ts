@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+
+import { fixContrast } from '../contrast-fix';
+import { convert } from '../conv';
+import { contrastRatioOfRgb } from '../eval/contrast';
+import { lightnessContrastOfRgb } from '../eval/apca';
+import { Color, ColorSpace } from '../color';
+
+describe('Contrast fixing', () => {
+	const white: [number, number, number] = [255, 255, 255];
+	const black: [number, number, number] = [0, 0, 0];
+
+	it('keeps a color that already meets the target', () => {
+		const ret = fixContrast(black, white, { metric: 'wcag', value: 7 });
+		expect(ret).toEqual({ rgb: black, contrast: contrastRatioOfRgb(black, white), difference: 0 });
+	});
+
+	it('adjusts only the lightness until the WCAG ratio is met', () => {
+		for (const axis of ['lch', 'oklch', 'munsell'] as const) {
+			const ret = fixContrast([240, 120, 120], white, { metric: 'wcag', value: 4.5 }, { axis });
+			expect(ret).not.toBeNull();
+			const rgb = ret!.rgb;
+			expect(contrastRatioOfRgb(rgb, white)).toBeGreaterThanOrEqual(4.5);
+			expect(contrastRatioOfRgb(rgb, white)).toBeLessThan(4.7);
+			expect(convert(rgb, 'rgb', 'lch')[0]).toBeLessThan(convert([240, 120, 120], 'rgb', 'lch')[0]);
+			expect(convert(rgb, 'rgb', 'lch')[2]).toBeCloseTo(convert([240, 120, 120], 'rgb', 'lch')[2], -1);
+		}
+	});
+
+	it('meets an APCA target in the direction of the nearer solution', () => {
+		const dark: [number, number, number] = [40, 40, 90];
+		const ret = fixContrast([90, 90, 140], dark, { metric: 'apca', value: 60 }, { distance: 'oklab' });
+		expect(ret).not.toBeNull();
+		expect(lightnessContrastOfRgb(ret!.rgb, dark)).toBeLessThanOrEqual(-60);
+		expect(ret!.contrast).toBe(lightnessContrastOfRgb(ret!.rgb, dark));
+	});
+
+	it('reduces the chroma where the lightness leaves the gamut', () => {
+		const yellow: [number, number, number] = [255, 255, 0];
+		const blue: [number, number, number] = [0, 0, 255];
+		for (const axis of ['lch', 'oklch', 'munsell'] as const) {
+			const y = fixContrast(yellow, white, { metric: 'wcag', value: 4.5 }, { axis });
+			expect(y).not.toBeNull();
+			expect(contrastRatioOfRgb(y!.rgb, white)).toBeGreaterThanOrEqual(4.5);
+			expect(convert(y!.rgb, 'rgb', 'lch')[2]).toBeCloseTo(convert(yellow, 'rgb', 'lch')[2], -1);
+
+			const b = fixContrast(blue, black, { metric: 'wcag', value: 7 }, { axis });
+			expect(b).not.toBeNull();
+			expect(contrastRatioOfRgb(b!.rgb, black)).toBeGreaterThanOrEqual(7);
+			expect(convert(b!.rgb, 'rgb', 'lch')[0]).toBeGreaterThan(convert(blue, 'rgb', 'lch')[0]);
+		}
+	});
+
+	it('reports failure when no solution exists within the gamut', () => {
+		expect(fixContrast([128, 128, 128], [118, 118, 118], { metric: 'wcag', value: 7 })).toBeNull();
+		expect(() => fixContrast([128, 128, 128], white, { metric: 'wcag', value: 7 }, { axis: 'hsl' as 'lch' })).toThrow("Unknown lightness axis: 'hsl'.");
+	});
+
+	it('fixes the contrast of a Color', () => {
+		const fg = new Color(ColorSpace.Rgb, [240, 120, 120]);
+		const bg = new Color(ColorSpace.Rgb, white);
+		const fixed = fg.fixContrastWith(bg, { metric: 'wcag', value: 4.5 });
+		expect(fixed?.meetsWcagWith(bg)).toBe(true);
+		expect(fg.fixContrastWith(new Color(ColorSpace.Rgb, [118, 118, 118]), { metric: 'wcag', value: 7 })).toBeNull();
+	});
+
+	it('composites a translucent Color over the background before fixing the contrast', () => {
+		const fg = new Color(ColorSpace.Rgb, [0, 0, 0], 0.3);
+		const bg = new Color(ColorSpace.Rgb, white);
+		const fixed = fg.fixContrastWith(bg, { metric: 'wcag', value: 4.5 });
+		expect(fixed?.alpha()).toBe(1);
+		expect(fixed?.asRgb()).not.toEqual([0, 0, 0]);
+		expect(fixed?.meetsWcagWith(bg)).toBe(true);
+	});
+});
\ No newline at end of file
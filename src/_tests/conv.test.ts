@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 
-import { convert, getConverter } from '../conv';
+import { convert, findPath, getConverter, getSpace, hasSpace, registerSpace } from '../conv';
 
 describe('Conversion helpers', () => {
 	it('converts HSL to RGB', () => {
@@ -8,11 +8,69 @@ describe('Conversion helpers', () => {
 		expect(getConverter('hsl')([0, 100, 50])).toEqual([255, 0, 0]);
 	});
 
-	it('falls back to identity for unsupported conversions', () => {
-		const input: [number, number, number] = [1, 2, 3];
-		const converter = getConverter('unknown', 'also-unknown');
+	it('converts HWB from and to other color spaces', () => {
+		expect(convert([0, 0, 0], 'hwb')).toEqual([255, 0, 0]);
+		expect(convert([255, 0, 0], 'rgb', 'hwb')).toEqual([0, 0, 0]);
+		expect(convert([0, 0, 0], 'hwb', 'lab')).toEqual(convert([255, 0, 0], 'rgb', 'lab'));
+		expect(getConverter('hwb', 'lab')([0, 0, 0])).toEqual(convert([255, 0, 0], 'rgb', 'lab'));
+	});
+
+	it('converts OKLab and OKLCh from and to other color spaces', () => {
+		const oklab = convert([1, 0, 0], 'lrgb', 'oklab');
+		expect(oklab[0]).toBeCloseTo(0.627955, 5);
+		expect(convert(oklab, 'oklab', 'lrgb')[0]).toBeCloseTo(1, 6);
+		expect(getConverter('oklch', 'oklab')([0.5, 0, 0])).toEqual([0.5, 0, 0]);
+		expect(convert([0.5, 0, 0], 'oklab', 'oklch')).toEqual([0.5, 0, 0]);
+	});
+
+	it('converts to Lab and LCh relative to D50', () => {
+		const lab = convert([255, 0, 0], 'rgb', 'lab50');
+		expect(lab[0]).toBeCloseTo(54.29, 2);
+		expect(lab[1]).toBeCloseTo(80.81, 2);
+		expect(lab[2]).toBeCloseTo(69.88, 2);
+		expect(convert(lab, 'lab50', 'lch50')).toEqual(convert([255, 0, 0], 'rgb', 'lch50'));
+	});
+
+	it('throws for unknown color spaces', () => {
+		expect(() => convert([1, 2, 3], 'unknown', 'rgb')).toThrow("Unknown color space: 'unknown'.");
+		expect(() => getConverter('rgb', 'also-unknown')).toThrow("Unknown color space: 'also-unknown'.");
+	});
+
+	it('accepts color space names in any case', () => {
+		expect(convert([0, 100, 50], 'HSL', 'RGB')).toEqual([255, 0, 0]);
+	});
+
+	it('finds the path through which a color is converted', () => {
+		expect(findPath('hsl', 'lch')).toEqual(['hsl', 'rgb', 'lrgb', 'xyz', 'lab', 'lch']);
+		expect(findPath('tone', 'oklch')).toEqual(['tone', 'pccs', 'munsell', 'xyz', 'lrgb', 'oklab', 'oklch']);
+		expect(findPath('rgb', 'rgb')).toEqual(['rgb']);
+	});
+
+	it('registers user-defined color spaces', () => {
+		registerSpace({
+			name: 'Half-Rgb',
+			channels: [{ name: 'r', min: 0, max: 127.5 }, { name: 'g', min: 0, max: 127.5 }, { name: 'b', min: 0, max: 127.5 }],
+			base: 'rgb',
+			fromBase: ([r, g, b]) => [r / 2, g / 2, b / 2],
+			toBase: ([r, g, b]) => [r * 2, g * 2, b * 2],
+		});
+		expect(hasSpace('half-rgb')).toBe(true);
+		expect(getSpace('HALF-RGB')?.channels[0].name).toBe('r');
+		expect(getSpace('rgb')).toBeNull();
+
+		expect(convert([255, 0, 0], 'rgb', 'half-rgb')).toEqual([127.5, 0, 0]);
+		expect(convert([127.5, 0, 0], 'half-rgb', 'munsell')).toEqual(convert([255, 0, 0], 'rgb', 'munsell'));
+		expect(getConverter('lab', 'half-rgb')(convert([0, 0, 255], 'rgb', 'lab'))[2]).toBeCloseTo(127.5, 6);
+	});
 
-		expect(convert(input, 'unknown', 'also-unknown')).toBe(input);
-		expect(converter(input)).toBe(input);
+	it('rejects invalid registrations', () => {
+		const def = {
+			channels: [{ name: 'x' }, { name: 'y' }, { name: 'z' }] as [{ name: string }, { name: string }, { name: string }],
+			fromBase: (vs: [number, number, number]) => vs,
+			toBase: (vs: [number, number, number]) => vs,
+		};
+		expect(() => registerSpace({ ...def, name: 'lab', base: 'xyz' })).toThrow("Color space 'lab' is already registered.");
+		expect(() => registerSpace({ ...def, name: 'orphan', base: 'none' })).toThrow("Unknown color space: 'none'.");
+		expect(hasSpace('orphan')).toBe(false);
 	});
 });
\ No newline at end of file
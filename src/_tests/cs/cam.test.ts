@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+
+import { DEFAULT_VIEWING_CONDITIONS, ViewingConditions, appearanceOf, fromAppearance, fromXyz, toXyz } from '../../cs/cam';
+import { D65_XYZ } from '../../const';
+
+const VC: ViewingConditions = { white: [0.9888, 0.9, 0.3203], adaptingLuminance: 200, backgroundLuminance: 18, surround: 'average' };
+const SAMPLE: [number, number, number] = [0.1931, 0.2393, 0.1014];
+
+describe('cs/cam', () => {
+	it('matches the CIECAM02 worked example', () => {
+		const a = appearanceOf(SAMPLE, VC, 'ciecam02');
+
+		expect(a.J).toBeCloseTo(48.0314, 4);
+		expect(a.C).toBeCloseTo(38.7789, 4);
+		expect(a.h).toBeCloseTo(191.0452, 4);
+		expect(a.M).toBeCloseTo(38.7789, 4);
+		expect(a.s).toBeCloseTo(46.0177, 4);
+		expect(a.Q).toBeCloseTo(183.1240, 4);
+		expect(a.H).toBeCloseTo(240.8885, 3);
+	});
+
+	it('gives the lightness 100 to the white', () => {
+		for (const model of ['ciecam02', 'cam16'] as const) {
+			expect(fromXyz(D65_XYZ, [0, 0, 0], DEFAULT_VIEWING_CONDITIONS, model)[0]).toBeCloseTo(100, 6);
+		}
+		expect(fromXyz([0, 0, 0])).toEqual([0, 0, 0]);
+	});
+
+	it('round-trips JCh through XYZ', () => {
+		for (const model of ['ciecam02', 'cam16'] as const) {
+			const back = toXyz(fromXyz(SAMPLE, [0, 0, 0], VC, model), [0, 0, 0], VC, model);
+			expect(back[0]).toBeCloseTo(SAMPLE[0], 10);
+			expect(back[1]).toBeCloseTo(SAMPLE[1], 10);
+			expect(back[2]).toBeCloseTo(SAMPLE[2], 10);
+		}
+	});
+
+	it('restores XYZ from other combinations of correlates', () => {
+		const a = appearanceOf(SAMPLE, VC, 'cam16');
+
+		for (const app of [{ Q: a.Q, M: a.M, H: a.H }, { J: a.J, s: a.s, h: a.h }, { Q: a.Q, s: a.s, H: a.H }]) {
+			const back = fromAppearance(app, VC, 'cam16');
+			expect(back[0]).toBeCloseTo(SAMPLE[0], 8);
+			expect(back[1]).toBeCloseTo(SAMPLE[1], 8);
+			expect(back[2]).toBeCloseTo(SAMPLE[2], 8);
+		}
+		expect(() => fromAppearance({ C: a.C, h: a.h }, VC)).toThrow('Lightness (J or Q) is required.');
+		expect(() => fromAppearance({ J: a.J, h: a.h }, VC)).toThrow('Chroma (C, M or s) is required.');
+		expect(() => fromAppearance({ J: a.J, C: a.C }, VC)).toThrow('Hue (h or H) is required.');
+	});
+
+	it('predicts the appearance changing with viewing conditions', () => {
+		const bright = appearanceOf(SAMPLE, { ...VC, adaptingLuminance: 1000 });
+		const dark = appearanceOf(SAMPLE, { ...VC, adaptingLuminance: 10, surround: 'dark' });
+
+		expect(bright.Q).toBeGreaterThan(dark.Q);
+		expect(bright.M).toBeGreaterThan(dark.M);
+		expect(() => appearanceOf(SAMPLE, { ...VC, surround: 'bright' as 'dim' })).toThrow("Unknown surround: 'bright'.");
+	});
+});
\ No newline at end of file
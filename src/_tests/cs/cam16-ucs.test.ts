@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+
+import { COEFFICIENTS, fromCam16, toCam16 } from '../../cs/cam16-ucs';
+import { colorfulnessFactorOf } from '../../cs/cam';
+
+describe('cs/cam16-ucs', () => {
+	it('keeps the lightness of the black and the white', () => {
+		for (const v of ['ucs', 'lcd', 'scd'] as const) {
+			expect(fromCam16([0, 0, 0], [0, 0, 0], v)).toEqual([0, 0, 0]);
+			expect(fromCam16([100, 0, 0], [0, 0, 0], v)[0]).toBeCloseTo(100, 10);
+		}
+	});
+
+	it('compresses colorfulness logarithmically', () => {
+		const M: number = 40;
+		const [, a, b] = fromCam16([50, M / colorfulnessFactorOf(), 0]);
+
+		expect(a).toBeCloseTo(Math.log(1 + COEFFICIENTS.ucs.c2 * M) / COEFFICIENTS.ucs.c2, 10);
+		expect(b).toBeCloseTo(0, 10);
+	});
+
+	it('round-trips CAM16 through each variant', () => {
+		const jch: [number, number, number] = [48, 38, 191];
+
+		for (const v of ['ucs', 'lcd', 'scd'] as const) {
+			const back = toCam16(fromCam16(jch, [0, 0, 0], v), [0, 0, 0], v);
+			expect(back[0]).toBeCloseTo(jch[0], 10);
+			expect(back[1]).toBeCloseTo(jch[1], 10);
+			expect(back[2]).toBeCloseTo(jch[2], 10);
+		}
+		expect(() => fromCam16(jch, [0, 0, 0], 'xyz' as 'ucs')).toThrow("Unknown variant of CAM16-UCS: 'xyz'.");
+	});
+});
\ No newline at end of file
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromLchuv, toLchuv } from '../../cs/hpluv';
+import { maxSafeChromaOf } from '../../cs/hsluv';
+
+describe('cs/hpluv', () => {
+	it('gives the same chroma to every hue at the same pastel saturation', () => {
+		const c0 = toLchuv([0, 100, 70])[1];
+		const c1 = toLchuv([180, 100, 70])[1];
+
+		expect(c0).toBeCloseTo(maxSafeChromaOf(70), 10);
+		expect(c1).toBeCloseTo(c0, 10);
+	});
+
+	it('round-trips LCh(uv)', () => {
+		const back = toLchuv(fromLchuv([60, 30, 200]));
+		expect(back[0]).toBe(60);
+		expect(back[1]).toBeCloseTo(30, 10);
+		expect(back[2]).toBe(200);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromLchuv, maxChromaOf, maxSafeChromaOf, toLchuv } from '../../cs/hsluv';
+import { fromXyz as xyz2luv } from '../../cs/luv';
+import { fromLuv } from '../../cs/lchuv';
+import { toXyz as lrgb2xyz } from '../../cs/lrgb';
+
+describe('cs/hsluv', () => {
+	it('gives the saturation 100 to the sRGB primaries', () => {
+		for (const lrgb of [[1, 0, 0], [0, 1, 0], [0, 0, 1]] as [number, number, number][]) {
+			const hsl = fromLchuv(fromLuv(xyz2luv(lrgb2xyz(lrgb))));
+			expect(hsl[1]).toBeCloseTo(100, 4);
+		}
+		const red = fromLchuv(fromLuv(xyz2luv(lrgb2xyz([1, 0, 0]))));
+		expect(red[0]).toBeCloseTo(12.18, 1);
+		expect(red[2]).toBeCloseTo(53.23, 1);
+	});
+
+	it('bounds the safe chroma by the chroma of every hue', () => {
+		for (let h: number = 0; h < 360; h += 15) {
+			expect(maxSafeChromaOf(50)).toBeLessThanOrEqual(maxChromaOf(50, h) + 1e-10);
+		}
+	});
+
+	it('treats the black and the white as achromatic', () => {
+		expect(fromLchuv([0, 10, 120])).toEqual([120, 0, 0]);
+		expect(fromLchuv([100, 10, 120])).toEqual([120, 0, 100]);
+		expect(toLchuv([120, 50, 100])).toEqual([100, 0, 120]);
+	});
+
+	it('round-trips LCh(uv)', () => {
+		const back = toLchuv(fromLchuv([60, 30, 200]));
+		expect(back[0]).toBe(60);
+		expect(back[1]).toBeCloseTo(30, 10);
+		expect(back[2]).toBe(200);
+	});
+});
\ No newline at end of file
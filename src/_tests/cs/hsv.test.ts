@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromRgb, toRgb } from '../../cs/hsv';
+import { convert } from '../../conv';
+
+describe('cs/hsv', () => {
+	it('converts red and gray between RGB and HSV', () => {
+		expect(fromRgb([255, 0, 0])).toEqual([0, 100, 100]);
+		expect(toRgb([0, 100, 100])).toEqual([255, 0, 0]);
+		expect(fromRgb([128, 128, 128])).toEqual([0, 0, 100 * 128 / 255]);
+		expect(fromRgb([0, 0, 0])).toEqual([0, 0, 0]);
+	});
+
+	it('round-trips a representative color', () => {
+		const hsv = fromRgb([32, 128, 224]);
+		expect(hsv[0]).toBeCloseTo(210, 6);
+		expect(hsv[1]).toBeCloseTo(85.7143, 4);
+		expect(hsv[2]).toBeCloseTo(87.8431, 4);
+		expect(toRgb(hsv)).toEqual([32, 128, 224]);
+	});
+
+	it('is routed by convert()', () => {
+		expect(convert([120, 50, 80], 'hsv', 'hsl')).toEqual(convert([102, 204, 102], 'rgb', 'hsl'));
+		expect(convert([360, 100, 100], 'hsv', 'rgb')).toEqual([255, 0, 0]);
+	});
+});
\ No newline at end of file
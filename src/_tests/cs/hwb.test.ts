@@ -7,4 +7,21 @@ describe('cs/hwb', () => {
 		expect(fromRgb([255, 0, 0])).toEqual([0, 0, 0]);
 		expect(toRgb([0, 0, 0])).toEqual([255, 0, 0]);
 	});
+
+	it('mixes whiteness and blackness in the RGB range', () => {
+		expect(toRgb([120, 20, 20])).toEqual([51, 204, 51]);
+		expect(toRgb([0, 60, 60])).toEqual([128, 128, 128]);
+
+		const hwb = fromRgb([51, 204, 51]);
+		expect(hwb[0]).toBeCloseTo(120, 6);
+		expect(hwb[1]).toBeCloseTo(20, 6);
+		expect(hwb[2]).toBeCloseTo(20, 6);
+	});
+
+	it('rounds only once after mixing the pure hue', () => {
+		expect(toRgb([5, 10, 0])).toEqual([255, 45, 26]);
+		expect(toRgb([5, 20, 40])).toEqual([153, 60, 51]);
+		expect(toRgb([0, 30, 10])).toEqual([230, 77, 77]);
+		expect(toRgb([360, 0, 0])).toEqual([255, 0, 0]);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+
+import { D65_XYZ } from '../../const';
+import { encodePq } from '../../cs/rgb-space';
+import { fromXyz, toXyz } from '../../cs/ictcp';
+import { convert } from '../../conv';
+
+describe('cs/ictcp', () => {
+	it('converts the white to the PQ signal of its luminance', () => {
+		const [i, ct, cp] = fromXyz(D65_XYZ);
+		expect(i).toBeCloseTo(encodePq(203), 6);
+		expect(ct).toBeCloseTo(0, 6);
+		expect(cp).toBeCloseTo(0, 6);
+
+		expect(convert(D65_XYZ, 'xyz', 'ictcp', null, { luminance: 1000 })[0]).toBeCloseTo(encodePq(1000), 6);
+	});
+
+	it('converts sRGB red', () => {
+		const [i, ct, cp] = convert([255, 0, 0], 'rgb', 'ictcp');
+		expect(i).toBeCloseTo(0.4279, 4);
+		expect(ct).toBeCloseTo(-0.1157, 4);
+		expect(cp).toBeCloseTo(0.2787, 4);
+	});
+
+	it('round-trips XYZ', () => {
+		const back = toXyz(fromXyz([0.2, 0.3, 0.4], [0, 0, 0], 1000), [0, 0, 0], 1000);
+		expect(back[0]).toBeCloseTo(0.2, 8);
+		expect(back[1]).toBeCloseTo(0.3, 8);
+		expect(back[2]).toBeCloseTo(0.4, 8);
+	});
+});
\ No newline at end of file
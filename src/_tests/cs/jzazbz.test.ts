@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+
+import { D65_XYZ } from '../../const';
+import { fromXyz, toXyz } from '../../cs/jzazbz';
+import { convert } from '../../conv';
+
+describe('cs/jzazbz', () => {
+	it('converts the white of 203 cd/m² to a neutral color', () => {
+		const [jz, az, bz] = fromXyz(D65_XYZ);
+		expect(jz).toBeCloseTo(0.2221, 4);
+		expect(az).toBeCloseTo(0, 3);
+		expect(bz).toBeCloseTo(0, 3);
+	});
+
+	it('converts sRGB red', () => {
+		const [jz, az, bz] = convert([255, 0, 0], 'rgb', 'jzazbz');
+		expect(jz).toBeCloseTo(0.1344, 4);
+		expect(az).toBeCloseTo(0.1179, 4);
+		expect(bz).toBeCloseTo(0.1119, 4);
+	});
+
+	it('increases the lightness with the luminance of the white', () => {
+		expect(fromXyz(D65_XYZ, [0, 0, 0], 1000)[0]).toBeGreaterThan(fromXyz(D65_XYZ)[0]);
+		expect(convert(D65_XYZ, 'xyz', 'jzazbz', null, { luminance: 1000 })).toEqual(fromXyz(D65_XYZ, [0, 0, 0], 1000));
+	});
+
+	it('round-trips XYZ', () => {
+		for (const lum of [100, 203, 4000]) {
+			const back = toXyz(fromXyz([0.2, 0.3, 0.4], [0, 0, 0], lum), [0, 0, 0], lum);
+			expect(back[0]).toBeCloseTo(0.2, 8);
+			expect(back[1]).toBeCloseTo(0.3, 8);
+			expect(back[2]).toBeCloseTo(0.4, 8);
+		}
+	});
+});
\ No newline at end of file
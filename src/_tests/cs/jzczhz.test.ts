@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromJzazbz, toJzazbz } from '../../cs/jzczhz';
+import { convert } from '../../conv';
+
+describe('cs/jzczhz', () => {
+	it('converts a chromatic color to the cylindrical representation', () => {
+		const [jz, cz, hz] = fromJzazbz([0.1, 0.03, 0.04]);
+		expect(jz).toBe(0.1);
+		expect(cz).toBeCloseTo(0.05, 10);
+		expect(hz).toBeCloseTo(53.1301, 4);
+	});
+
+	it('round-trips sRGB through JzCzhz', () => {
+		const back = convert(convert([12, 150, 200], 'rgb', 'jzczhz'), 'jzczhz', 'rgb');
+		expect(back).toEqual([12, 150, 200]);
+
+		const jab = toJzazbz(fromJzazbz([0.1, -0.02, 0.01]));
+		expect(jab[1]).toBeCloseTo(-0.02, 10);
+		expect(jab[2]).toBeCloseTo(0.01, 10);
+	});
+});
\ No newline at end of file
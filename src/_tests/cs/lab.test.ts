@@ -14,4 +14,17 @@ describe('cs/lab', () => {
 		expect(toXyz([100, 0, 0])[1]).toBeCloseTo(D65_XYZ[1], 6);
 		expect(toXyz([100, 0, 0])[2]).toBeCloseTo(D65_XYZ[2], 6);
 	});
+
+	it('computes Lab relative to another white with chromatic adaptation', () => {
+		const lab = fromXyz(D65_XYZ, [0, 0, 0], 'D50');
+		expect(lab[0]).toBeCloseTo(100, 6);
+		expect(lab[1]).toBeCloseTo(0, 6);
+		expect(lab[2]).toBeCloseTo(0, 6);
+
+		const xyz: [number, number, number] = [0.2, 0.3, 0.4];
+		const back = toXyz(fromXyz(xyz, [0, 0, 0], 'D50'), [0, 0, 0], 'D50');
+		expect(back[0]).toBeCloseTo(xyz[0], 10);
+		expect(back[1]).toBeCloseTo(xyz[1], 10);
+		expect(back[2]).toBeCloseTo(xyz[2], 10);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromLuv, toLuv } from '../../cs/lchuv';
+
+describe('cs/lchuv', () => {
+	it('converts neutral Luv values without changing them', () => {
+		expect(fromLuv([50, 0, 0])).toEqual([50, 0, 0]);
+		expect(toLuv([50, 0, 0])).toEqual([50, 0, 0]);
+	});
+
+	it('round-trips a chromatic color', () => {
+		const back = toLuv(fromLuv([50, -10, 20]));
+		expect(back[0]).toBe(50);
+		expect(back[1]).toBeCloseTo(-10, 10);
+		expect(back[2]).toBeCloseTo(20, 10);
+	});
+});
\ No newline at end of file
@@ -22,4 +22,16 @@ describe('cs/lms', () => {
 		expect(roundTrip[1]).toBeCloseTo(source[1], 6);
 		expect(roundTrip[2]).toBeCloseTo(source[2], 6);
 	});
+
+	it('takes a conversion method from a context', () => {
+		const source: [number, number, number] = [0.25, 0.5, 0.75];
+		const ctx = { lms: ConversionMethod.BRADFORD };
+
+		expect(fromXyz(source, [0, 0, 0], ctx)).not.toEqual(fromXyz(source));
+
+		const roundTrip = toXyz(fromXyz(source, [0, 0, 0], ctx), [0, 0, 0], ctx);
+		expect(roundTrip[0]).toBeCloseTo(source[0], 6);
+		expect(roundTrip[1]).toBeCloseTo(source[1], 6);
+		expect(roundTrip[2]).toBeCloseTo(source[2], 6);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromXyz, toXyz } from '../../cs/luv';
+import { D65_XYZ } from '../../const';
+
+describe('cs/luv', () => {
+	it('maps the white and the black to the neutral axis', () => {
+		const white = fromXyz(D65_XYZ);
+		expect(white[0]).toBeCloseTo(100, 10);
+		expect(white[1]).toBeCloseTo(0, 10);
+		expect(white[2]).toBeCloseTo(0, 10);
+		expect(fromXyz([0, 0, 0])).toEqual([0, 0, 0]);
+		expect(toXyz([0, 0, 0])).toEqual([0, 0, 0]);
+	});
+
+	it('converts sRGB red', () => {
+		const luv = fromXyz([0.4124, 0.2126, 0.0193]);
+		expect(luv[0]).toBeCloseTo(53.23, 2);
+		expect(luv[1]).toBeCloseTo(175.0, 0);
+		expect(luv[2]).toBeCloseTo(37.76, 1);
+	});
+
+	it('round-trips dark and bright colors', () => {
+		for (const xyz of [[0.002, 0.001, 0.003], [0.25, 0.5, 0.75]] as [number, number, number][]) {
+			const back = toXyz(fromXyz(xyz));
+			expect(back[0]).toBeCloseTo(xyz[0], 10);
+			expect(back[1]).toBeCloseTo(xyz[1], 10);
+			expect(back[2]).toBeCloseTo(xyz[2], 10);
+		}
+	});
+});
\ No newline at end of file
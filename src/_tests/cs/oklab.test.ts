@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromLrgb, toLrgb } from '../../cs/oklab';
+
+describe('cs/oklab', () => {
+	it('maps white and red to the reference values', () => {
+		const white = fromLrgb([1, 1, 1]);
+		expect(white[0]).toBeCloseTo(1, 6);
+		expect(white[1]).toBeCloseTo(0, 6);
+		expect(white[2]).toBeCloseTo(0, 6);
+
+		const red = fromLrgb([1, 0, 0]);
+		expect(red[0]).toBeCloseTo(0.627955, 5);
+		expect(red[1]).toBeCloseTo(0.224863, 5);
+		expect(red[2]).toBeCloseTo(0.125846, 5);
+	});
+
+	it('round-trips a representative linear RGB color', () => {
+		const source: [number, number, number] = [0.2, 0.4, 0.6];
+		const back = toLrgb(fromLrgb(source));
+
+		expect(back[0]).toBeCloseTo(source[0], 6);
+		expect(back[1]).toBeCloseTo(source[1], 6);
+		expect(back[2]).toBeCloseTo(source[2], 6);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromOklab, toOklab } from '../../cs/oklch';
+
+describe('cs/oklch', () => {
+	it('converts neutral OKLab values without changing them', () => {
+		expect(fromOklab([0.5, 0, 0])).toEqual([0.5, 0, 0]);
+		expect(toOklab([0.5, 0, 0])).toEqual([0.5, 0, 0]);
+	});
+
+	it('round-trips a chromatic color', () => {
+		const back = toOklab(fromOklab([0.5, 0.1, -0.05]));
+
+		expect(back[0]).toBe(0.5);
+		expect(back[1]).toBeCloseTo(0.1, 10);
+		expect(back[2]).toBeCloseTo(-0.05, 10);
+	});
+});
\ No newline at end of file
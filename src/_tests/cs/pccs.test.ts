@@ -52,4 +52,13 @@ describe('cs/pccs', () => {
 
 		expect(absolute).toBeCloseTo(source[1], 10);
 	});
+
+	it('takes a conversion method from a context', () => {
+		const hvc: [number, number, number] = [5, 5, 10];
+		const concise = fromMunsell(hvc, [0, 0, 0], { pccs: ConversionMethod.Concise });
+
+		expect(conversionMethod).toBe(ConversionMethod.Accurate);
+		expect(concise).not.toEqual(fromMunsell(hvc));
+		expect(toMunsell(concise, [0, 0, 0], { pccs: ConversionMethod.Concise })[0]).toBeCloseTo(hvc[0], 0);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+
+import { D65_XYZ } from '../../const';
+import { DISPLAY_P3, PROPHOTO_RGB, REC2020, SRGB_TRC, decodeHlg, decodePq, encodeHlg, encodePq, fromXyz, gammaTrc, matrixOf, pqTrc, registerRgbSpace, toXyz } from '../../cs/rgb-space';
+import { convert } from '../../conv';
+
+describe('cs/rgb-space', () => {
+	it('derives the sRGB matrix from the primaries', () => {
+		const m = matrixOf([[0.64, 0.33], [0.30, 0.60], [0.15, 0.06]], [0.95047, 1, 1.08883]);
+		expect(m[0][0]).toBeCloseTo(0.4124564, 6);
+		expect(m[1][1]).toBeCloseTo(0.7151522, 6);
+		expect(m[2][2]).toBeCloseTo(0.9503041, 6);
+	});
+
+	it('maps white to [1, 1, 1]', () => {
+		for (const def of [DISPLAY_P3, REC2020, PROPHOTO_RGB]) {
+			const rgb = fromXyz(D65_XYZ, def);
+			expect(rgb[0]).toBeCloseTo(1, 6);
+			expect(rgb[1]).toBeCloseTo(1, 6);
+			expect(rgb[2]).toBeCloseTo(1, 6);
+		}
+	});
+
+	it('converts sRGB red to wide-gamut RGB', () => {
+		const p3 = convert([255, 0, 0], 'rgb', 'display-p3');
+		expect(p3[0]).toBeCloseTo(0.9175, 4);
+		expect(p3[1]).toBeCloseTo(0.2003, 4);
+		expect(p3[2]).toBeCloseTo(0.1386, 4);
+
+		const rec2020 = convert([255, 0, 0], 'rgb', 'rec2020');
+		expect(rec2020[0]).toBeCloseTo(0.7920, 4);
+		expect(rec2020[1]).toBeCloseTo(0.2310, 4);
+		expect(rec2020[2]).toBeCloseTo(0.0738, 4);
+
+		expect(convert([255, 0, 0], 'rgb', 'a98-rgb')[0]).toBeCloseTo(0.8586, 4);
+		expect(convert([255, 0, 0], 'rgb', 'prophoto-rgb')[0]).toBeCloseTo(0.7023, 4);
+	});
+
+	it('keeps out-of-gamut values and round-trips them', () => {
+		const xyz: [number, number, number] = [0.6, 0.2, 0.05];
+		const rgb = fromXyz(xyz, REC2020);
+		expect(rgb[1]).toBeLessThan(0);
+
+		const back = toXyz(rgb, REC2020);
+		expect(back[0]).toBeCloseTo(xyz[0], 10);
+		expect(back[1]).toBeCloseTo(xyz[1], 10);
+		expect(back[2]).toBeCloseTo(xyz[2], 10);
+	});
+
+	it('registers other RGB color systems', () => {
+		registerRgbSpace({ name: 'Linear-P3', primaries: DISPLAY_P3.primaries, white: 'D65', trc: gammaTrc(1) });
+
+		const p3 = convert([0.5, 0.4, 0.3], 'display-p3', 'linear-p3');
+		expect(p3[0]).toBeCloseTo(SRGB_TRC.toLinear(0.5), 10);
+		expect(() => registerRgbSpace(DISPLAY_P3)).toThrow("Color space 'display-p3' is already registered.");
+	});
+
+	it('encodes and decodes PQ', () => {
+		expect(encodePq(0)).toBeCloseTo(0, 5);
+		expect(encodePq(100)).toBeCloseTo(0.5081, 4);
+		expect(encodePq(1000)).toBeCloseTo(0.7518, 4);
+		expect(encodePq(10000)).toBeCloseTo(1, 10);
+		expect(decodePq(encodePq(123))).toBeCloseTo(123, 8);
+		expect(pqTrc(100).toLinear(encodePq(100))).toBeCloseTo(1, 10);
+	});
+
+	it('encodes and decodes HLG', () => {
+		expect(encodeHlg(1 / 12)).toBeCloseTo(0.5, 10);
+		expect(encodeHlg(1)).toBeCloseTo(1, 6);
+		expect(decodeHlg(encodeHlg(0.3))).toBeCloseTo(0.3, 10);
+		expect(decodeHlg(encodeHlg(0.05))).toBeCloseTo(0.05, 10);
+	});
+
+	it('converts the white to Rec. 2100 PQ and HLG', () => {
+		const pq = convert([255, 255, 255], 'rgb', 'rec2100-pq');
+		expect(pq[1]).toBeCloseTo(encodePq(203), 4);
+		const hlg = convert([255, 255, 255], 'rgb', 'rec2100-hlg');
+		expect(hlg[1]).toBeCloseTo(0.75, 4);
+		expect(convert(convert([12, 150, 200], 'rgb', 'rec2100-hlg'), 'rec2100-hlg', 'rgb')).toEqual([12, 150, 200]);
+	});
+
+	it('takes the luminance of the white of Rec. 2100 PQ from the context', () => {
+		const pq = convert([255, 255, 255], 'rgb', 'rec2100-pq', null, { luminance: 1000 });
+		expect(pq[1]).toBeCloseTo(encodePq(1000), 4);
+		expect(pq[1]).not.toBeCloseTo(convert([255, 255, 255], 'rgb', 'rec2100-pq')[1], 4);
+		expect(convert(pq, 'rec2100-pq', 'xyz', null, { luminance: 1000 })[1]).toBeCloseTo(1, 4);
+	});
+});
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { describe, expect, it } from 'vitest';
 
 import { fromHsl, fromLrgb, toHsl, toLrgb, MAX, MIN } from '../../cs/rgb';
+import { convert } from '../../conv';
 
 describe('cs/rgb', () => {
 	it('defines the RGB range', () => {
@@ -14,4 +15,21 @@ describe('cs/rgb', () => {
 		expect(fromHsl([0, 100, 50])).toEqual([255, 0, 0]);
 		expect(toHsl([255, 0, 0])).toEqual([0, 100, 50]);
 	});
+
+	it('rounds with the given mode', () => {
+		expect(fromLrgb([1, 0.2, 0], [0, 0, 0], 'truncate')).toEqual([254, 123, 0]);
+		expect(fromLrgb([1, 0.2, 0], [0, 0, 0], 'round')).toEqual([255, 124, 0]);
+		expect(fromLrgb([1, 0.2, 0], [0, 0, 0], 'none')[1]).toBeCloseTo(123.555, 3);
+	});
+
+	it('gives the same 8-bit RGB through Linear RGB and through sRGB', () => {
+		const lab: [number, number, number] = [50, 0, 0];
+		const direct = convert(lab, 'lab', 'rgb');
+		expect(direct).toEqual([118, 118, 118]);
+		expect(convert(convert(lab, 'lab', 'srgb'), 'srgb', 'rgb')).toEqual(direct);
+
+		const ctx = { rounding: 'round' as const };
+		expect(convert(lab, 'lab', 'rgb', null, ctx)).toEqual([119, 119, 119]);
+		expect(convert(convert(lab, 'lab', 'srgb'), 'srgb', 'rgb', null, ctx)).toEqual([119, 119, 119]);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromLrgb, fromRgb, isInGamut, toLrgb, toRgb } from '../../cs/srgb';
+
+describe('cs/srgb', () => {
+	it('converts Linear RGB without clamping', () => {
+		expect(fromLrgb([1, 0, 0])[0]).toBeCloseTo(1, 12);
+		expect(fromLrgb([1.2, -0.1, 0.5])[0]).toBeGreaterThan(1);
+		expect(fromLrgb([1.2, -0.1, 0.5])[1]).toBeLessThan(0);
+
+		const back = toLrgb(fromLrgb([1.2, -0.1, 0.5]));
+		expect(back[0]).toBeCloseTo(1.2, 12);
+		expect(back[1]).toBeCloseTo(-0.1, 12);
+		expect(back[2]).toBeCloseTo(0.5, 12);
+	});
+
+	it('converts from and to 8-bit RGB with rounding modes', () => {
+		expect(fromRgb([255, 51, 0])).toEqual([1, 0.2, 0]);
+		expect(toRgb([0.5, 1.2, -0.1])).toEqual([127, 255, 0]);
+		expect(toRgb([0.5, 1.2, -0.1], [0, 0, 0], 'round')).toEqual([128, 255, 0]);
+		expect(toRgb([0.5, 1.2, -0.1], [0, 0, 0], 'none')).toEqual([127.5, 255, 0]);
+	});
+
+	it('checks the gamut', () => {
+		expect(isInGamut([0, 0.5, 1])).toBe(true);
+		expect(isInGamut([1.001, 0.5, 0])).toBe(false);
+		expect(isInGamut([1.001, 0.5, 0], 0.01)).toBe(true);
+	});
+});
\ No newline at end of file
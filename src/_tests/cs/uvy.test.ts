@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+
+import { D65_UV, fromXy, fromXyz, toXy, toXyz } from '../../cs/uvy';
+import { D65_xyz, D65_XYZ } from '../../const';
+
+describe('cs/uvy', () => {
+	it('gives the chromaticity of D65', () => {
+		expect(D65_UV[0]).toBeCloseTo(0.1978, 4);
+		expect(D65_UV[1]).toBeCloseTo(0.4683, 4);
+		expect(fromXyz(D65_XYZ)).toEqual([...D65_UV, 1]);
+		expect(fromXyz([0, 0, 0])).toEqual([...D65_UV, 0]);
+	});
+
+	it('converts chromaticity coordinates between xy and uv', () => {
+		const uv = fromXy([D65_xyz[0], D65_xyz[1]]);
+		expect(uv[0]).toBeCloseTo(D65_UV[0], 10);
+		expect(uv[1]).toBeCloseTo(D65_UV[1], 10);
+
+		const xy = toXy(uv);
+		expect(xy[0]).toBeCloseTo(D65_xyz[0], 10);
+		expect(xy[1]).toBeCloseTo(D65_xyz[1], 10);
+	});
+
+	it('round-trips a representative XYZ color', () => {
+		const xyz: [number, number, number] = [0.25, 0.5, 0.75];
+		const back = toXyz(fromXyz(xyz));
+
+		expect(back[0]).toBeCloseTo(xyz[0], 10);
+		expect(back[1]).toBeCloseTo(xyz[1], 10);
+		expect(back[2]).toBeCloseTo(xyz[2], 10);
+	});
+});
\ No newline at end of file
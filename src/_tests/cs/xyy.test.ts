@@ -17,4 +17,11 @@ describe('cs/xyy', () => {
 		toXyz([0, 0, 0]);
 		expect(isSaturated).toBe(false);
 	});
+
+	it('reports saturation to a context instead of the module state', () => {
+		const sat = {};
+		toXyz([0.6, 0.3, 1], [0, 0, 0], { saturation: sat });
+		expect(sat).toEqual({ xyy: true });
+		expect(isSaturated).toBe(false);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromRgb, isLegal, toRgb } from '../../cs/ycbcr';
+import { convert } from '../../conv';
+
+describe('cs/ycbcr', () => {
+	it('converts white, black and red to the limited range of 8 bits', () => {
+		expect(fromRgb([1, 1, 1])).toEqual([235, 128, 128]);
+		expect(fromRgb([0, 0, 0])).toEqual([16, 128, 128]);
+		expect(fromRgb([1, 0, 0], [0, 0, 0], 'bt709')).toEqual([63, 102, 240]);
+		expect(fromRgb([1, 0, 0], [0, 0, 0], 'bt601')).toEqual([81, 90, 240]);
+	});
+
+	it('quantizes in the full range and 10 bits', () => {
+		expect(fromRgb([1, 1, 1], [0, 0, 0], 'bt2020', { range: 'full', bitDepth: 10 })).toEqual([1023, 512, 512]);
+		expect(fromRgb([1, 1, 1], [0, 0, 0], 'bt2020', { bitDepth: 10 })).toEqual([940, 512, 512]);
+		expect(fromRgb([0, 0, 0], [0, 0, 0], 'bt709', { range: 'full' })).toEqual([0, 128, 128]);
+	});
+
+	it('round-trips R\'G\'B\' within the quantization error', () => {
+		for (const standard of ['bt601', 'bt709', 'bt2020'] as const) {
+			const back = toRgb(fromRgb([0.2, 0.5, 0.8], [0, 0, 0], standard, { bitDepth: 16 }), [0, 0, 0], standard, { bitDepth: 16 });
+			expect(back[0]).toBeCloseTo(0.2, 4);
+			expect(back[1]).toBeCloseTo(0.5, 4);
+			expect(back[2]).toBeCloseTo(0.8, 4);
+		}
+	});
+
+	it('is routed by convert() with the options of the context', () => {
+		expect(convert([255, 0, 0], 'rgb', 'ycbcr709')).toEqual([63, 102, 240]);
+		expect(convert([235, 128, 128], 'ycbcr709', 'rgb')).toEqual([255, 255, 255]);
+		expect(convert([255, 255, 255], 'rgb', 'ycbcr2020', null, { ycbcr: { bitDepth: 10 } })).toEqual([940, 512, 512]);
+	});
+
+	it('checks broadcast-legal code values', () => {
+		expect(isLegal([235, 128, 128])).toBe(true);
+		expect(isLegal([63, 102, 240])).toBe(true);
+		expect(isLegal([240, 128, 128])).toBe(false);
+		expect(isLegal([128, 128, 16])).toBe(false);  // Within the code range, but G' is out of [0, 1].
+		expect(isLegal([255, 128, 128], 'bt709', { range: 'full' })).toBe(true);
+	});
+
+	it('throws an error for unknown options', () => {
+		expect(() => fromRgb([1, 1, 1], [0, 0, 0], 'bt999' as 'bt709')).toThrow("Unknown standard of YCbCr: 'bt999'.");
+		expect(() => fromRgb([1, 1, 1], [0, 0, 0], 'bt709', { bitDepth: 7 })).toThrow('Invalid bit depth: 7.');
+	});
+});
\ No newline at end of file
@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+
+import { fromSrgb, toSrgb } from '../../cs/ycocg';
+import { convert } from '../../conv';
+
+describe('cs/ycocg', () => {
+	it('converts primaries to YCoCg', () => {
+		expect(fromSrgb([1, 1, 1])).toEqual([1, 0, 0]);
+		expect(fromSrgb([1, 0, 0])).toEqual([0.25, 0.5, -0.25]);
+		expect(fromSrgb([0, 1, 0])).toEqual([0.5, 0, 0.5]);
+	});
+
+	it('round-trips sRGB', () => {
+		const back = toSrgb(fromSrgb([0.2, 0.5, 0.8]));
+		expect(back[0]).toBeCloseTo(0.2, 10);
+		expect(back[1]).toBeCloseTo(0.5, 10);
+		expect(back[2]).toBeCloseTo(0.8, 10);
+		expect(convert(convert([12, 150, 200], 'rgb', 'ycocg'), 'ycocg', 'rgb', null, { rounding: 'round' })).toEqual([12, 150, 200]);
+	});
+});
\ No newline at end of file
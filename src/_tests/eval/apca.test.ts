@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+
+import { FONT_WEIGHTS, lightnessContrast, lightnessContrastOfRgb, luminanceOfRgb, minimumFontSizeOf } from '../../eval/apca';
+
+describe('eval/apca', () => {
+	it('computes the screen luminance', () => {
+		expect(luminanceOfRgb([255, 255, 255])).toBeCloseTo(1, 6);
+		expect(luminanceOfRgb([0, 0, 0])).toBe(0);
+	});
+
+	it('computes Lc of the reference values', () => {
+		expect(lightnessContrastOfRgb([0x88, 0x88, 0x88], [0xff, 0xff, 0xff])).toBeCloseTo(63.0565, 4);
+		expect(lightnessContrastOfRgb([0xff, 0xff, 0xff], [0x88, 0x88, 0x88])).toBeCloseTo(-68.5415, 4);
+		expect(lightnessContrastOfRgb([0x00, 0x00, 0x00], [0xaa, 0xaa, 0xaa])).toBeCloseTo(58.1463, 4);
+		expect(lightnessContrastOfRgb([0xaa, 0xaa, 0xaa], [0x00, 0x00, 0x00])).toBeCloseTo(-56.2411, 4);
+		expect(lightnessContrastOfRgb([0, 0, 0], [255, 255, 255])).toBeCloseTo(106.04, 2);
+		expect(lightnessContrastOfRgb([255, 255, 255], [0, 0, 0])).toBeCloseTo(-107.88, 2);
+	});
+
+	it('clips low contrast to zero', () => {
+		expect(lightnessContrast(0.5, 0.5)).toBe(0);
+		expect(lightnessContrastOfRgb([120, 120, 120], [128, 128, 128])).toBe(0);
+	});
+
+	it('looks up the minimum font size', () => {
+		expect(minimumFontSizeOf(106)).toBe(14);
+		expect(minimumFontSizeOf(-75)).toBe(18);
+		expect(minimumFontSizeOf(63, 700)).toBe(16);
+		expect(minimumFontSizeOf(63, 100)).toBe(72);
+		expect(minimumFontSizeOf(20)).toBeNull();
+		expect(FONT_WEIGHTS).toHaveLength(9);
+		expect(() => minimumFontSizeOf(60, 450)).toThrow('Unknown font weight: 450.');
+	});
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+
+import { compositeOver, compositeRgb, contrastRatio, contrastRatioOfRgb, meetsWcag, relativeLuminanceOfRgb } from '../../eval/contrast';
+import { Color, ColorSpace } from '../../color';
+
+describe('eval/contrast', () => {
+	it('computes the relative luminance', () => {
+		expect(relativeLuminanceOfRgb([255, 255, 255])).toBeCloseTo(1, 10);
+		expect(relativeLuminanceOfRgb([0, 0, 0])).toBe(0);
+		expect(relativeLuminanceOfRgb([255, 0, 0])).toBeCloseTo(0.2126, 10);
+	});
+
+	it('computes the contrast ratio regardless of the order', () => {
+		expect(contrastRatio(1, 0)).toBeCloseTo(21, 10);
+		expect(contrastRatioOfRgb([0, 0, 0], [255, 255, 255])).toBeCloseTo(21, 10);
+		expect(contrastRatioOfRgb([0x76, 0x76, 0x76], [255, 255, 255])).toBeCloseTo(4.54, 2);
+		expect(contrastRatioOfRgb([255, 255, 255], [0x77, 0x77, 0x77])).toBeCloseTo(4.48, 2);
+	});
+
+	it('composites a color over the background', () => {
+		expect(compositeRgb([0, 0, 0], 0.5, [255, 255, 255])).toEqual([127.5, 127.5, 127.5]);
+		expect(compositeRgb([10, 20, 30], 1, [255, 255, 255])).toEqual([10, 20, 30]);
+		expect(compositeOver(new Color(ColorSpace.Rgb, [0, 0, 0], 0.5), [255, 255, 255])).toEqual([127.5, 127.5, 127.5]);
+		expect(compositeOver(new Color(ColorSpace.Rgb, [10, 20, 30]), [255, 255, 255])).toEqual([10, 20, 30]);
+	});
+
+	it('checks AA and AAA for normal and large text', () => {
+		expect(meetsWcag(4.54)).toBe(true);
+		expect(meetsWcag(4.48)).toBe(false);
+		expect(meetsWcag(4.48, 'AA', 'large')).toBe(true);
+		expect(meetsWcag(6.9, 'AAA')).toBe(false);
+		expect(meetsWcag(4.5, 'AAA', 'large')).toBe(true);
+		expect(() => meetsWcag(5, 'A' as 'AA')).toThrow("Unknown criterion: 'A' for 'normal' text.");
+	});
+});
\ No newline at end of file
@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 
-import { DE_TO_NBS, NBS, CIE76, CIEDE2000, distance } from '../../eval/difference';
+import { DE_TO_NBS, NBS, CAM16UCS, CIE76, CIE94, CIE94_WEIGHTS, CIEDE2000, CIEDE2000Components, CMC, Ez, ITP, NBS_LABELS, classifyByNbs, distance } from '../../eval/difference';
 
 describe('eval/difference', () => {
 	it('computes vector distances', () => {
@@ -13,4 +13,69 @@ describe('eval/difference', () => {
 		expect(DE_TO_NBS).toBeCloseTo(0.92, 2);
 		expect(NBS.Trace).toBe(0);
 	});
+
+	it('classifies color differences by NBS unit', () => {
+		expect(classifyByNbs(0)).toEqual({ nbs: 0, category: NBS.Trace, label: 'Trace' });
+		expect(classifyByNbs(1).category).toBe(NBS.Slight);
+		expect(classifyByNbs(2).category).toBe(NBS.Noticeable);
+		expect(classifyByNbs(3 / DE_TO_NBS).category).toBe(NBS.Appreciable);
+		expect(classifyByNbs(20).label).toBe('Very Much');
+		expect(classifyByNbs(4, 'ja')).toEqual({ nbs: 4 * DE_TO_NBS, category: NBS.Appreciable, label: NBS_LABELS.ja.Appreciable });
+		expect(() => classifyByNbs(1, 'fr' as 'en')).toThrow("Unknown language: 'fr'.");
+	});
+
+	it('computes CIEDE2000 with the components of Sharma\'s test data', () => {
+		const c = CIEDE2000Components([50, 2.6772, -79.7751], [50, 0, -82.7485]);
+		expect(c.deltaE).toBeCloseTo(2.0425, 4);
+		expect(c.deltaL).toBe(0);
+		expect(c.SL).toBeCloseTo(1, 4);
+		expect(c.SC).toBeCloseTo(4.6578, 4);
+		expect(c.SH).toBeCloseTo(1.8421, 4);
+		expect(c.RT).toBeCloseTo(-1.7042, 4);
+		expect(CIEDE2000([50, 2.6772, -79.7751], [50, 0, -82.7485])).toBe(c.deltaE);
+	});
+
+	it('computes parametric CIEDE2000', () => {
+		const lab1: [number, number, number] = [50, 0, 0];
+		const lab2: [number, number, number] = [60, 0, 0];
+		expect(CIEDE2000(lab1, lab2, 2)).toBeCloseTo(CIEDE2000(lab1, lab2) / 2, 10);
+		expect(CIEDE2000(lab1, lab2, 1, 2, 2)).toBeCloseTo(CIEDE2000(lab1, lab2), 10);
+
+		const c = CIEDE2000Components([60, 30, 20], [62, 28, 25], 2);
+		expect(c.deltaL).toBe(2);
+		expect(c.deltaE).toBeLessThan(CIEDE2000([60, 30, 20], [62, 28, 25]));
+	});
+
+	it('computes CIE94 with the weights for graphic arts and textiles', () => {
+		const lab1: [number, number, number] = [50, 2.6772, -79.7751];
+		const lab2: [number, number, number] = [50, 0, -82.7485];
+		expect(CIE94(lab1, lab2)).toBeCloseTo(1.3950, 4);
+		expect(CIE94(lab1, lab2, CIE94_WEIGHTS.textiles)).toBeCloseTo(1.4230, 4);
+		expect(CIE94([60, 30, 20], [62, 28, 25])).toBeCloseTo(3.9509, 4);
+		expect(CIE94([60, 30, 20], [64, 30, 20], CIE94_WEIGHTS.textiles)).toBeCloseTo(2, 10);
+	});
+
+	it('computes CMC l:c of 2:1 and 1:1', () => {
+		expect(CMC([50, 2.6772, -79.7751], [50, 0, -82.7485])).toBeCloseTo(1.7387, 4);
+		expect(CMC([60, 30, 20], [62, 28, 25])).toBeCloseTo(4.7759, 4);
+		expect(CMC([60, 30, 20], [62, 28, 25], 1, 1)).toBeCloseTo(4.9913, 4);
+		expect(CMC([60, 30, 20], [62, 28, 25])).not.toBeCloseTo(CMC([62, 28, 25], [60, 30, 20]), 4);
+	});
+
+	it('computes color difference in CAM16-UCS with KL', () => {
+		expect(CAM16UCS([50, 3, 0], [50, 0, 4])).toBe(5);
+		expect(CAM16UCS([54, 0, 0], [50, 0, 0], 1)).toBe(4);
+		expect(CAM16UCS([54, 0, 0], [50, 0, 0], 0.5)).toBe(8);
+	});
+
+	it('computes ΔE ITP with the halved Ct', () => {
+		expect(ITP([0.5, 0, 0], [0.5, 0, 0])).toBe(0);
+		expect(ITP([0.5, 0.02, 0], [0.5, 0, 0])).toBeCloseTo(7.2, 10);
+		expect(ITP([0.5, 0, 0.01], [0.5, 0, 0])).toBeCloseTo(7.2, 10);
+	});
+
+	it('computes ΔEz from the lightness, chroma and hue differences', () => {
+		expect(Ez([0.1, 0.01, 0], [0.1, 0, 0.01])).toBeCloseTo(Math.SQRT2 * 0.01, 10);
+		expect(Ez([0.1, 0.01, 0], [0.13, 0.05, 0])).toBeCloseTo(0.05, 10);
+	});
 });
\ No newline at end of file
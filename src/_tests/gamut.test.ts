@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+
+import { isInGamut, mapToGamut } from '../gamut';
+import { convert } from '../conv';
+import { CIEDE2000 } from '../eval/difference';
+import { Color, ColorSpace } from '../color';
+
+describe('Gamut mapping', () => {
+	const oklch: [number, number, number] = [0.7, 0.4, 30];
+
+	it('checks whether colors are within the gamut', () => {
+		expect(isInGamut([0.5, 0.1, 30], 'oklch')).toBe(true);
+		expect(isInGamut(oklch, 'oklch')).toBe(false);
+		expect(isInGamut(convert([255, 0, 0], 'rgb', 'oklch'), 'oklch', 'display-p3')).toBe(true);
+	});
+
+	it('keeps colors within the gamut unchanged', () => {
+		const srgb = convert([0.5, 0.1, 30], 'oklch', 'srgb');
+		for (const method of ['clip', 'css', 'lch', 'minde'] as const) {
+			const mapped = mapToGamut([0.5, 0.1, 30], 'oklch', 'srgb', method);
+			expect(mapped[0]).toBeCloseTo(srgb[0], 6);
+			expect(mapped[1]).toBeCloseTo(srgb[1], 6);
+			expect(mapped[2]).toBeCloseTo(srgb[2], 6);
+		}
+	});
+
+	it('maps by the CSS Color 4 algorithm keeping the hue', () => {
+		const srgb = mapToGamut(oklch, 'oklch', 'srgb', 'css');
+		expect(isInGamut(srgb, 'srgb')).toBe(true);
+
+		const mapped = convert(srgb, 'srgb', 'oklch');
+		expect(mapped[0]).toBeCloseTo(0.7, 1);
+		expect(Math.abs(mapped[2] - 30)).toBeLessThan(1.5);
+		expect(Math.abs(convert(mapToGamut(oklch, 'oklch', 'srgb', 'clip'), 'srgb', 'oklch')[2] - 30)).toBeGreaterThan(Math.abs(mapped[2] - 30));
+	});
+
+	it('maps by reducing the chroma of CIELCh', () => {
+		const lch = convert(oklch, 'oklch', 'lch');
+		const mapped = convert(mapToGamut(oklch, 'oklch', 'srgb', 'lch'), 'srgb', 'lch');
+		expect(mapped[0]).toBeCloseTo(lch[0], 2);
+		expect(mapped[2]).toBeCloseTo(lch[2], 1);
+		expect(mapped[1]).toBeLessThan(lch[1]);
+	});
+
+	it('maps to the color of the minimum CIEDE2000', () => {
+		const lab = convert(oklch, 'oklch', 'lab');
+		const de = (method: 'clip' | 'lch' | 'minde'): number => CIEDE2000(lab, convert(mapToGamut(oklch, 'oklch', 'srgb', method), 'srgb', 'lab'));
+		expect(de('minde')).toBeLessThanOrEqual(de('lch'));
+		expect(de('minde')).toBeLessThanOrEqual(de('clip'));
+	});
+
+	it('maps the lightness out of the range to white or black', () => {
+		for (const v of mapToGamut([1.1, 0.2, 30], 'oklch', 'srgb', 'css')) {
+			expect(v).toBeCloseTo(1, 10);
+		}
+		expect(mapToGamut([-5, 20, 30], 'lch', 'srgb', 'lch')).toEqual([0, 0, 0]);
+	});
+
+	it('maps the lightness out of the range to white or black of the target color space', () => {
+		const white = convert([1, 1, 1], 'srgb', 'rec2100-pq');
+		expect(white[0]).toBeCloseTo(0.58, 2);
+
+		const css = mapToGamut([1, 0, 0], 'oklch', 'rec2100-pq', 'css');
+		const lch = mapToGamut([100, 0, 0], 'lch', 'rec2100-pq', 'lch');
+		for (let i = 0; i < 3; ++i) {
+			expect(css[i]).toBeCloseTo(white[i], 4);
+			expect(lch[i]).toBeCloseTo(white[i], 4);
+		}
+		for (const v of mapToGamut([0, 0, 0], 'oklch', 'rec2100-pq', 'css')) {
+			expect(v).toBeCloseTo(0, 5);
+		}
+	});
+
+	it('is selectable when converting', () => {
+		const rgb = convert(oklch, 'oklch', 'rgb', 'css');
+		expect(rgb).toEqual(mapToGamut(oklch, 'oklch', 'rgb', 'css'));
+		expect(rgb.every((v: number) => Number.isInteger(v) && 0 <= v && v <= 255)).toBe(true);
+
+		const color = new Color(ColorSpace.Oklch, oklch);
+		expect(color.asRgb('css')).toEqual(rgb);
+		expect(color.asSrgb('clip')).toEqual([1, 0, 0]);
+		expect(color.asRgb()).toEqual([255, 0, 0]);
+	});
+
+	it('throws for color spaces without a gamut', () => {
+		expect(() => mapToGamut(oklch, 'oklch', 'lab')).toThrow("Not an RGB color space: 'lab'.");
+	});
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+
+import { addEdge, findPath, getConverter, hasSpace } from '../graph';
+
+describe('Conversion graph', () => {
+	addEdge('test-a', 'test-b', ([x, y, z]) => [x + 1, y, z]);
+	addEdge('test-b', 'test-a', ([x, y, z]) => [x - 1, y, z]);
+	addEdge('test-b', 'test-c', ([x, y, z]) => [x, y * 2, z]);
+	addEdge('test-c', 'test-b', ([x, y, z]) => [x, y / 2, z]);
+	addEdge('test-d', 'test-a', ([x, y, z]) => [x, y, z]);
+
+	it('registers color spaces of both ends of an edge', () => {
+		expect(hasSpace('test-a')).toBe(true);
+		expect(hasSpace('test-d')).toBe(true);
+		expect(hasSpace('test-e')).toBe(false);
+	});
+
+	it('finds the shortest path', () => {
+		expect(findPath('test-a', 'test-c')).toEqual(['test-a', 'test-b', 'test-c']);
+		expect(findPath('test-c', 'test-a')).toEqual(['test-c', 'test-b', 'test-a']);
+		expect(findPath('test-a', 'test-a')).toEqual(['test-a']);
+	});
+
+	it('composes and caches the converters along the path', () => {
+		const fn = getConverter('test-a', 'test-c');
+		expect(fn([1, 1, 1])).toEqual([2, 2, 1]);
+		expect(getConverter('test-a', 'test-c')).toBe(fn);
+		expect(getConverter('test-c', 'test-a')([2, 2, 1])).toEqual([1, 1, 1]);
+	});
+
+	it('caches the converters of names containing hyphens separately', () => {
+		addEdge('test-k-l', 'test-m', ([x, y, z]) => [x + 10, y, z]);
+		addEdge('test-k', 'l-test-m', ([x, y, z]) => [x + 20, y, z]);
+
+		expect(getConverter('test-k-l', 'test-m')([0, 0, 0])).toEqual([10, 0, 0]);
+		expect(getConverter('test-k', 'l-test-m')([0, 0, 0])).toEqual([20, 0, 0]);
+	});
+
+	it('throws for unknown color spaces and missing paths', () => {
+		expect(() => findPath('test-a', 'test-e')).toThrow("Unknown color space: 'test-e'.");
+		expect(() => findPath('test-a', 'test-d')).toThrow("No conversion path from 'test-a' to 'test-d'.");
+	});
+});
\ No newline at end of file
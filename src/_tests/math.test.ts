@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { atan2rad, mag, DEG_RAD, RAD_DEG, PI2 } from '../math';
+import { atan2rad, mag, mulMatVec, mulMat, invMat, DEG_RAD, RAD_DEG, PI2 } from '../math';
 
 describe('Math utilities', () => {
 	describe('atan2rad', () => {
@@ -59,4 +59,21 @@ describe('Math utilities', () => {
 			expect(PI2).toBe(Math.PI * 2);
 		});
 	});
+
+	describe('matrix', () => {
+		const m: [number, number, number][] = [[2, 0, 1], [1, 3, 0], [0, 1, 4]];
+
+		it('multiplies a matrix by a vector', () => {
+			expect(mulMatVec(m, [1, 2, 3])).toEqual([5, 7, 14]);
+		});
+
+		it('inverts a matrix', () => {
+			const id = mulMat(m, invMat(m));
+			for (let i = 0; i < 3; ++i) {
+				for (let j = 0; j < 3; ++j) {
+					expect(id[i][j]).toBeCloseTo(i === j ? 1 : 0, 10);
+				}
+			}
+		});
+	});
 });
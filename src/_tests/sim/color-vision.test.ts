@@ -1,10 +1,15 @@
 import { describe, expect, it } from 'vitest';
 
+import { fromXyz as xyz2lms } from '../../cs/lms';
+import { fromLrgb as lrgb2xyz } from '../../cs/xyz';
 import {
 	brettelD,
 	brettelP,
+	brettelT,
 	lmsToDeuteranopia,
 	lmsToProtanopia,
+	lmsToTritanopia,
+	lrgbToTritanopia,
 	setOkajimaCorrectionOption,
 } from '../../sim/color-vision';
 
@@ -28,4 +33,32 @@ describe('sim/color-vision', () => {
 		expect(lmsToDeuteranopia([1, 2, 3])[1]).toBeCloseTo(4.239017, 6);
 		expect(lmsToDeuteranopia([1, 2, 3])[2]).toBe(3);
 	});
+
+	it('takes Okajima correction options from a context', () => {
+		setOkajimaCorrectionOption(false);
+		const plain = lmsToProtanopia([1, 2, 3]);
+		const corrected = lmsToProtanopia([1, 2, 3], [0, 0, 0], { okajima: { correction: true } });
+
+		expect(corrected).not.toEqual(plain);
+		expect(lmsToProtanopia([1, 2, 3])).toEqual(plain);
+		expect(lmsToDeuteranopia([1, 2, 3], [0, 0, 0], { okajima: { correction: false } })).toEqual(lmsToDeuteranopia([1, 2, 3]));
+	});
+
+	it('simulates tritanopia by the projection onto two half-planes', () => {
+		const white = xyz2lms(lrgb2xyz([1, 1, 1]));
+		const red = xyz2lms(lrgb2xyz([1, 0, 0]));
+		const blue = xyz2lms(lrgb2xyz([0, 0, 1]));
+
+		expect(brettelT(red).slice(0, 2)).toEqual(red.slice(0, 2));
+		expect(brettelT(red)[2]).toBeCloseTo(-0.00212630 * red[0] + 0.0547677 * red[1], 12);
+		expect(brettelT(blue)[2]).toBeCloseTo(-0.0619506 * blue[0] + 0.168254 * blue[1], 12);
+		expect(brettelT(white)[2]).toBeCloseTo(white[2], 4);
+
+		// Continuous on the separating plane.
+		const [el, em] = [0.654787, 0.345173];
+		expect(-0.00212630 * el + 0.0547677 * em).toBeCloseTo(-0.0619506 * el + 0.168254 * em, 5);
+
+		expect(lmsToTritanopia(blue)).toEqual(brettelT(blue));
+		expect(lrgbToTritanopia([0, 0, 1])).toEqual(brettelT(blue));
+	});
 });
\ No newline at end of file
@@ -2,15 +2,29 @@ import { describe, expect, it } from 'vitest';
 
 import {
 	fromInteger,
+	parseColor,
 	parseHsl,
 	parseHex,
+	parseHpluv,
+	parseHsluv,
+	parseHsv,
+	parseHwb,
 	parseLab,
 	parseLch,
+	parseOklab,
+	parseOklch,
 	parseRgb,
+	stringifyColor,
 	stringifyHsl,
 	stringifyHex,
+	stringifyHpluv,
+	stringifyHsluv,
+	stringifyHsv,
+	stringifyHwb,
 	stringifyLab,
 	stringifyLch,
+	stringifyOklab,
+	stringifyOklch,
 	stringifyRgb,
 	toInteger,
 } from '../util';
@@ -25,15 +39,36 @@ describe('Utility helpers', () => {
 		expect(parseRgb('rgb(100% 0% 50% / 25%)')).toEqual([255, 0, 127, 0.25]);
 		expect(parseHex('#ff0080')).toEqual([255, 0, 128, 1]);
 		expect(parseHsl('hsl(120 50% 25% / 0.5)')).toEqual([120, 50, 25, 0.5]);
+		expect(parseHwb('hwb(120 10% 20% / 0.5)')).toEqual([120, 10, 20, 0.5]);
 		expect(parseLab('lab(50% 20 -30 / 0.8)')).toEqual([50, 20, -30, 0.8]);
 		expect(parseLch('lch(50% 40 250deg / 0.8)')).toEqual([50, 40, 250, 0.8]);
+		expect(parseOklab('oklab(40% 0.1 -0.05 / 0.8)')).toEqual([0.4, 0.1, -0.05, 0.8]);
+		expect(parseOklab('oklab(0.4 25% -12.5%)')).toEqual([0.4, 0.1, -0.05, 1]);
+		expect(parseOklch('oklch(60% 0.15 250deg / 0.8)')).toEqual([0.6, 0.15, 250, 0.8]);
+		expect(parseLab('oklab(40% 0.1 -0.05)')).toBeNull();
+		expect(parseLch('oklch(60% 0.15 250)')).toBeNull();
+		expect(parseHsluv('hsluv(250deg 80% 40% / 50%)')).toEqual([250, 80, 40, 0.5]);
+		expect(parseHpluv('hpluv(250 80% 40%)')).toEqual([250, 80, 40, 1]);
+		expect(parseHsl('hsluv(250 80% 40%)')).toBeNull();
+		expect(parseHsv('hsv(120 50% 80%)')).toEqual([120, 50, 80, 1]);
+		expect(parseHsv('hsb(120deg 50% 80% / 0.5)')).toEqual([120, 50, 80, 0.5]);
+		expect(parseHsv('hsl(120 50% 80%)')).toBeNull();
+		expect(parseColor('color(display-p3 1 0.5 -0.1 / 50%)')).toEqual(['display-p3', 1, 0.5, -0.1, 0.5]);
+		expect(parseColor('color(Rec2020 100% 50% 0%)')).toEqual(['rec2020', 1, 0.5, 0, 1]);
 	});
 
 	it('stringifies CSS color arrays', () => {
 		expect(stringifyRgb([255, 0, 128, 0.25])).toBe('rgb(255 0 128 / 0.25)');
 		expect(stringifyHex([255, 0, 128, 0.5])).toBe('#ff008080');
 		expect(stringifyHsl([120, 50, 25, 0.5])).toBe('hsl(120 50% 25% / 0.5)');
+		expect(stringifyHwb([120, 10, 20, 0.5])).toBe('hwb(120 10% 20% / 0.5)');
 		expect(stringifyLab([50, 20, -30, 0.8])).toBe('lab(50% 20 -30 / 0.8)');
 		expect(stringifyLch([50, 40, 250, 0.8])).toBe('lch(50% 40 250 / 0.8)');
+		expect(stringifyOklab([0.4, 0.1, -0.05, 0.8])).toBe('oklab(40% 0.1 -0.05 / 0.8)');
+		expect(stringifyOklch([0.6, 0.15, 250])).toBe('oklch(60% 0.15 250)');
+		expect(stringifyHsluv([250, 80, 40, 0.5])).toBe('hsluv(250 80% 40% / 0.5)');
+		expect(stringifyHpluv([250, 80, 40])).toBe('hpluv(250 80% 40%)');
+		expect(stringifyHsv([120, 50, 80])).toBe('hsv(120 50% 80%)');
+		expect(stringifyColor('display-p3', [1, 0.5, 0, 0.5])).toBe('color(display-p3 1 0.5 0 / 0.5)');
 	});
 });
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Chromatic Adaptation
+ * Converts CIE 1931 XYZ under one white point to the corresponding color under another white point.
+ * Reference: http://www.brucelindbloom.com/index.html?Eqn_ChromAdapt.html
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from './type';
+import { ILLUMINANTS, Illuminant } from './const';
+import { mulMat, mulMatVec, invMat } from './math';
+import { BRADFORD, VON_KRIES } from './cs/lms';
+
+/**
+ * Chromatic adaptation methods.
+ */
+export type AdaptationMethod = 'xyz-scaling' | 'von-kries' | 'bradford' | 'cat02' | 'cat16';
+
+/*
+ * Reference: N. Moroney, M. D. Fairchild, et al., The CIECAM02 color appearance model, 2002.
+ */
+export const CAT02: Triplet[] = [
+	[ 0.7328, 0.4296, -0.1624],
+	[-0.7036, 1.6975,  0.0061],
+	[ 0.0030, 0.0136,  0.9834]
+];
+
+/*
+ * Reference: C. Li, Z. Li, Z. Wang, et al., Comprehensive color solutions: CAM16, CAT16, and CAM16-UCS,
+ * Color Research and Application, vol.42, no.6, pp.703-718, 2017.
+ */
+export const CAT16: Triplet[] = [
+	[ 0.401288, 0.650173, -0.051461],
+	[-0.250268, 1.204414,  0.045854],
+	[-0.002079, 0.048952,  0.953127]
+];
+
+const XYZ_SCALING: Triplet[] = [
+	[1, 0, 0],
+	[0, 1, 0],
+	[0, 0, 1]
+];
+
+const CONE_RESPONSES: Readonly<Record<AdaptationMethod, Triplet[]>> = Object.freeze({
+	'xyz-scaling': XYZ_SCALING,
+	'von-kries'  : VON_KRIES,
+	'bradford'   : BRADFORD,
+	'cat02'      : CAT02,
+	'cat16'      : CAT16,
+});
+
+// Matrices between standard illuminants, whose number is bounded.
+const CACHE: Map<string, Triplet[]> = new Map();
+
+/**
+ * Get the matrix adapting CIE 1931 XYZ from one white point to another.
+ * @param {Triplet | Illuminant} src The source white point (XYZ) or the name of a standard illuminant.
+ * @param {Triplet | Illuminant} dst The destination white point (XYZ) or the name of a standard illuminant.
+ * @param {AdaptationMethod} method The adaptation method.
+ * @return {Triplet[]} The adaptation matrix, which is a new array.
+ */
+export function getMatrix(src: Triplet | Illuminant, dst: Triplet | Illuminant, method: AdaptationMethod = 'bradford'): Triplet[] {
+	return matrixOf(src, dst, method).map((r: Triplet): Triplet => [...r]);
+}
+
+function matrixOf(src: Triplet | Illuminant, dst: Triplet | Illuminant, method: AdaptationMethod): Triplet[] {
+	const named: boolean = !Array.isArray(src) && !Array.isArray(dst);
+	const key: string = `${src}-${dst}-${method}`;
+	if (named && CACHE.has(key)) {
+		return CACHE.get(key) as Triplet[];
+	}
+	const cr: Triplet[] | undefined = CONE_RESPONSES[method];
+	if (!cr) {
+		throw new Error(`Unknown adaptation method: '${method}'.`);
+	}
+	const cs: Triplet = mulMatVec(cr, whitePointOf(src));
+	const cd: Triplet = mulMatVec(cr, whitePointOf(dst));
+	const s: Triplet[] = [
+		[cd[0] / cs[0], 0, 0],
+		[0, cd[1] / cs[1], 0],
+		[0, 0, cd[2] / cs[2]]
+	];
+	const m: Triplet[] = mulMat(invMat(cr), mulMat(s, cr));
+	if (named) {
+		CACHE.set(key, m);
+	}
+	return m;
+}
+
+/**
+ * Adapt CIE 1931 XYZ from one white point to another.
+ * @param {Triplet} xyz XYZ color under the source white point.
+ * @param {Triplet | Illuminant} src The source white point (XYZ) or the name of a standard illuminant.
+ * @param {Triplet | Illuminant} dst The destination white point (XYZ) or the name of a standard illuminant.
+ * @param {AdaptationMethod} method The adaptation method.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} XYZ color under the destination white point.
+ */
+export function adapt(xyz: Triplet, src: Triplet | Illuminant, dst: Triplet | Illuminant, method: AdaptationMethod = 'bradford', dest: Triplet = [0, 0, 0]): Triplet {
+	return mulMatVec(matrixOf(src, dst, method), xyz, dest);
+}
+
+/**
+ * Get the tristimulus values of a white point.
+ * @param {Triplet | Illuminant} w A white point (XYZ) or the name of a standard illuminant.
+ * @return {Triplet} The tristimulus values.
+ */
+export function whitePointOf(w: Triplet | Illuminant): Triplet {
+	if (Array.isArray(w)) {
+		return w;
+	}
+	if (!Object.hasOwn(ILLUMINANTS, w)) {
+		throw new Error(`Unknown illuminant: '${w}'.`);
+	}
+	return ILLUMINANTS[w];
+}
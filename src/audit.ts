@@ -0,0 +1,159 @@
+/**
+ * Accessibility Audit
+ * Evaluates the contrast and the difference between colors under the simulated color visions,
+ * and flags the pairs that become indistinguishable.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from './type';
+import { Color, ColorSpace, NBS_DIFFERENCE_METHODS, NbsDifferenceMethod } from './color';
+import { NBS, classifyByNbs } from './eval/difference';
+import { compositeOver } from './eval/contrast';
+
+/**
+ * Color visions to be simulated.
+ * - 'normal': Normal color vision.
+ * - 'protanopia': Protanopia (P-type), by Color.toProtanopia().
+ * - 'deuteranopia': Deuteranopia (D-type), by Color.toDeuteranopia().
+ * - 'tritanopia': Tritanopia (T-type), by Color.toTritanopia().
+ * - 'elderly': Color vision of elderly people (70 years old), by Color.toElderly().
+ */
+export type Vision = 'normal' | 'protanopia' | 'deuteranopia' | 'tritanopia' | 'elderly';
+
+/**
+ * All the color visions in the order of the report.
+ */
+export const VISIONS: readonly Vision[] = Object.freeze(['normal', 'protanopia', 'deuteranopia', 'tritanopia', 'elderly']);
+
+/**
+ * Options of the audit.
+ */
+export type AuditOptions = {
+	/** Color visions to be simulated, all by default */
+	visions?: readonly Vision[];
+	/** Method of color difference on the scale of CIELAB, which is classified by NBS unit, 'ciede2000' by default */
+	method?: NbsDifferenceMethod;
+	/** NBS category below which two colors are regarded as indistinguishable, NBS.Noticeable by default */
+	minimum?: NBS;
+	/** Method of the color vision simulation, 'lrgb' by default */
+	simulation?: 'lms' | 'lrgb';
+	/** Whether to apply the Okajima correction to the simulation of protanopia and deuteranopia */
+	correction?: boolean;
+};
+
+/**
+ * Result of a pair under a color vision.
+ */
+export type VisionAudit = {
+	/** Contrast ratio of WCAG 2.x */
+	contrast: number;
+	/** Lightness contrast (Lc) of APCA */
+	apca: number;
+	/** Color difference */
+	difference: number;
+	/** NBS category of the color difference */
+	category: NBS;
+	/** Whether the colors are indistinguishable */
+	indistinguishable: boolean;
+};
+
+/**
+ * Result of a pair.
+ */
+export type PairAudit = {
+	/** Results for each simulated color vision */
+	visions: Partial<Record<Vision, VisionAudit>>;
+	/** Color visions under which the pair becomes indistinguishable, though it is distinguishable under normal vision */
+	flagged: Vision[];
+};
+
+/**
+ * Result of a pair in a palette.
+ */
+export type PaletteAudit = PairAudit & {
+	/** Indices of the pair in the palette */
+	indices: [number, number];
+};
+
+/**
+ * Audit a pair of a foreground color and a background color.
+ * Translucent colors are composited over the background color and white before the simulation.
+ * @param {Color} fg A foreground color.
+ * @param {Color} bg A background color.
+ * @param {AuditOptions} options Options of the audit.
+ * @return {PairAudit} Result of the pair.
+ */
+export function auditPair(fg: Color, bg: Color, options: AuditOptions = {}): PairAudit {
+	const bgRgb: Triplet = compositeOver(bg, [255, 255, 255]);
+	const fgRgb: Triplet = compositeOver(fg, bgRgb);
+
+	const f: Color = new Color(ColorSpace.Rgb, fgRgb, 1, fg.context());
+	const b: Color = new Color(ColorSpace.Rgb, bgRgb, 1, bg.context());
+	return auditColors(f, b, options);
+}
+
+/**
+ * Audit all the pairs of colors in a palette.
+ * Translucent colors are composited over white before the simulation.
+ * @param {Color[]} colors Colors of a palette.
+ * @param {AuditOptions} options Options of the audit.
+ * @return {PaletteAudit[]} Results of the pairs, in the order of the indices.
+ */
+export function auditPalette(colors: Color[], options: AuditOptions = {}): PaletteAudit[] {
+	const cs: Color[] = colors.map(c => new Color(ColorSpace.Rgb, compositeOver(c, [255, 255, 255]), 1, c.context()));
+	const ret: PaletteAudit[] = [];
+
+	for (let i: number = 0; i < cs.length; ++i) {
+		for (let j: number = i + 1; j < cs.length; ++j) {
+			ret.push({ indices: [i, j], ...auditColors(cs[i], cs[j], options) });
+		}
+	}
+	return ret;
+}
+
+function auditColors(c1: Color, c2: Color, options: AuditOptions): PairAudit {
+	if (options.method && !NBS_DIFFERENCE_METHODS.includes(options.method)) {
+		throw new Error(`Color difference '${options.method}' cannot be classified by NBS unit.`);
+	}
+	const ret: PairAudit = { visions: {}, flagged: [] };
+	for (const v of options.visions ?? VISIONS) {
+		ret.visions[v] = auditVision(c1, c2, v, options);
+	}
+	const normal: VisionAudit = ret.visions.normal ?? auditVision(c1, c2, 'normal', options);
+	if (!normal.indistinguishable) {
+		for (const [v, r] of Object.entries(ret.visions) as [Vision, VisionAudit][]) {
+			if (r.indistinguishable) ret.flagged.push(v);
+		}
+	}
+	return ret;
+}
+
+function auditVision(c1: Color, c2: Color, vision: Vision, options: AuditOptions): VisionAudit {
+	const { method = 'ciede2000', minimum = NBS.Noticeable } = options;
+	const s1: Color = simulate(c1, vision, options);
+	const s2: Color = simulate(c2, vision, options);
+
+	const difference: number = s1.differenceFrom(s2, method);
+	const { category } = classifyByNbs(difference);
+	return {
+		contrast         : s1.contrastRatioWith(s2),
+		apca             : s1.apcaContrastWith(s2),
+		difference,
+		category,
+		indistinguishable: category < minimum,
+	};
+}
+
+function simulate(c: Color, vision: Vision, { simulation = 'lrgb', correction = false }: AuditOptions): Color {
+	switch (vision) {
+		case 'normal'      : return c;
+		case 'protanopia'  : return c.toProtanopia(simulation, correction);
+		case 'deuteranopia': return c.toDeuteranopia(simulation, correction);
+		case 'tritanopia'  : return c.toTritanopia(simulation);
+		case 'elderly'     : return c.toElderly();
+		default:
+			throw new Error(`Unknown color vision: '${vision}'.`);
+	}
+}
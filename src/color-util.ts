@@ -2,11 +2,12 @@
  * Functions for Color Object
  *
  * @author Takuto Yanagida
- * @version 2025-02-25
+ * @version 2026-10-19
  */
 
 import { Color, ColorSpace } from './color';
 import * as Util from './util';
+import { adapt } from './adaptation';
 
 /**
  * Creates a Color object based on the integer.
@@ -28,8 +29,30 @@ export function fromString(str: string): Color | null {
 	if (cs = Util.parseRgb(str)) return new Color(ColorSpace.Rgb, [cs[0], cs[1], cs[2]], cs[3]);
 	if (cs = Util.parseHex(str)) return new Color(ColorSpace.Rgb, [cs[0], cs[1], cs[2]], cs[3]);
 	if (cs = Util.parseHsl(str)) return new Color(ColorSpace.Hsl, [cs[0], cs[1], cs[2]], cs[3]);
-	if (cs = Util.parseLab(str)) return new Color(ColorSpace.Lab, [cs[0], cs[1], cs[2]], cs[3]);
-	if (cs = Util.parseLch(str)) return new Color(ColorSpace.Lch, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseHwb(str)) return new Color(ColorSpace.Hwb, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseLab(str)) return new Color(ColorSpace.Lab50, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseLch(str)) return new Color(ColorSpace.Lch50, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseOklab(str)) return new Color(ColorSpace.Oklab, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseOklch(str)) return new Color(ColorSpace.Oklch, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseHsv(str)) return new Color(ColorSpace.Hsv, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseHsluv(str)) return new Color(ColorSpace.Hsluv, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseHpluv(str)) return new Color(ColorSpace.Hpluv, [cs[0], cs[1], cs[2]], cs[3]);
+	if (cs = Util.parseColor(str)) return fromColorFunction(cs);
+	return null;
+}
+
+function fromColorFunction([space, v1, v2, v3, al]: [string, number, number, number, number]): Color | null {
+	switch (space) {
+		case 'srgb'        : return new Color(ColorSpace.Srgb, [v1, v2, v3], al);
+		case 'srgb-linear' : return new Color(ColorSpace.Lrgb, [v1, v2, v3], al);
+		case 'xyz'         :
+		case 'xyz-d65'     : return new Color(ColorSpace.Xyz, [v1, v2, v3], al);
+		case 'xyz-d50'     : return new Color(ColorSpace.Xyz, adapt([v1, v2, v3], 'D50', 'D65'), al);
+		case 'display-p3'  :
+		case 'rec2020'     :
+		case 'a98-rgb'     :
+		case 'prophoto-rgb': return new Color(space, [v1, v2, v3], al);
+	}
 	return null;
 }
 
@@ -61,18 +84,89 @@ export function toStringHsl(c: Color): string {
 	return Util.stringifyHsl([...c.asHsl(), c.alpha() as number]);
 }
 
+/**
+ * Returns a CSS color string of HWB format.
+ * @returns A string representation.
+ */
+export function toStringHwb(c: Color): string {
+	return Util.stringifyHwb([...c.asHwb(), c.alpha() as number]);
+}
+
 /**
  * Returns a CSS color string of Lab format.
+ * As defined in CSS Color 4, the values are relative to D50.
  * @returns A string representation.
  */
 export function toStringLab(c: Color): string {
-	return Util.stringifyLab([...c.asLab(), c.alpha() as number]);
+	return Util.stringifyLab([...c.asLab50(), c.alpha() as number]);
 }
 
 /**
  * Returns a CSS color string of LCH format.
+ * As defined in CSS Color 4, the values are relative to D50.
  * @returns A string representation.
  */
 export function toStringLch(c: Color): string {
-	return Util.stringifyLch([...c.asLch(), c.alpha() as number]);
+	return Util.stringifyLch([...c.asLch50(), c.alpha() as number]);
+}
+
+/**
+ * Returns a CSS color string of OKLab format.
+ * @returns A string representation.
+ */
+export function toStringOklab(c: Color): string {
+	return Util.stringifyOklab([...c.asOklab(), c.alpha() as number]);
+}
+
+/**
+ * Returns a CSS color string of OKLCh format.
+ * @returns A string representation.
+ */
+export function toStringOklch(c: Color): string {
+	return Util.stringifyOklch([...c.asOklch(), c.alpha() as number]);
+}
+
+/**
+ * Returns an HSV color string in the CSS-like format.
+ * @returns A string representation.
+ */
+export function toStringHsv(c: Color): string {
+	return Util.stringifyHsv([...c.asHsv(), c.alpha() as number]);
+}
+
+/**
+ * Returns an HSLuv color string in the CSS-like format.
+ * @returns A string representation.
+ */
+export function toStringHsluv(c: Color): string {
+	return Util.stringifyHsluv([...c.asHsluv(), c.alpha() as number]);
+}
+
+/**
+ * Returns an HPLuv color string in the CSS-like format.
+ * @returns A string representation.
+ */
+export function toStringHpluv(c: Color): string {
+	return Util.stringifyHpluv([...c.asHpluv(), c.alpha() as number]);
+}
+
+/**
+ * Returns a CSS color string of color() format.
+ * @param {string} space - The color space name of CSS color() (e.g., 'srgb', 'display-p3', 'rec2020', 'xyz-d50').
+ * @returns A string representation.
+ */
+export function toStringColor(c: Color, space: string = 'srgb'): string {
+	const al: number = c.alpha() as number;
+	switch (space) {
+		case 'srgb'        : return Util.stringifyColor(space, [...c.asSrgb(), al]);
+		case 'srgb-linear' : return Util.stringifyColor(space, [...c.asLrgb(), al]);
+		case 'xyz'         :
+		case 'xyz-d65'     : return Util.stringifyColor(space, [...c.asXyz(), al]);
+		case 'xyz-d50'     : return Util.stringifyColor(space, [...adapt(c.asXyz(), 'D65', 'D50'), al]);
+		case 'display-p3'  :
+		case 'rec2020'     :
+		case 'a98-rgb'     :
+		case 'prophoto-rgb': return Util.stringifyColor(space, [...c.as(space), al]);
+	}
+	throw new Error(`Unknown color space of color(): '${space}'.`);
 }
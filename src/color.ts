@@ -2,55 +2,136 @@
  * Color
  *
  * @author Takuto Yanagida
- * @version 2025-02-25
+ * @version 2026-10-19
  */
 
 import { Triplet } from './type';
+import { Context, Saturation } from './context';
+import * as Apca from './eval/apca';
 import * as Category from './eval/category';
 import * as Conspicuity from './eval/conspicuity';
+import * as Contrast from './eval/contrast';
 import * as Difference from './eval/difference';
 import * as ColorVision from './sim/color-vision';
+import * as Age from './sim/age';
 import * as Util from './util';
+import * as Conv from './conv';
+import { GamutMapping, mapToGamut } from './gamut';
+import * as ContrastFix from './contrast-fix';
 
-import * as Rgb from './cs/rgb';
-import * as Hsl from './cs/hsl';
-import * as Yiq from './cs/yiq';
-import * as Lrgb from './cs/lrgb';
-import * as Xxy from './cs/xyy';
-import * as Lab from './cs/lab';
-import * as Lch from './cs/lch';
-import * as Lms from './cs/lms';
+import * as Cam from './cs/cam';
+import * as Cam16Ucs from './cs/cam16-ucs';
 import * as Munsell from './cs/munsell';
 import * as Pccs from './cs/pccs';
+import * as Ycbcr from './cs/ycbcr';
 
 export enum ColorSpace {
 	Rgb,
+	Srgb,
 	Hsl,
+	Hsv,
+	Hwb,
 	Yiq,
+	Ycbcr601,
+	Ycbcr709,
+	Ycbcr2020,
+	Ycocg,
 	Lrgb,
 	Xyz,
 	Xyy,
+	Uvy,
 	Lab,
 	Lch,
+	Lab50,
+	Lch50,
+	Luv,
+	Lchuv,
+	Hsluv,
+	Hpluv,
+	Oklab,
+	Oklch,
+	Jzazbz,
+	Jzczhz,
+	Ictcp,
+	Ciecam02,
+	Cam16,
+	Cam16Ucs,
+	Cam16Lcd,
+	Cam16Scd,
 	Lms,
 	Munsell,
 	Pccs,
 	Tone,
 }
 
+/**
+ * Methods of color difference.
+ * CIE94 and CMC l:c are asymmetric, where the color given to differenceFrom() is the reference.
+ * - 'sqrt', 'cie76': Euclidean distance in CIELAB.
+ * - 'ciede2000': CIEDE2000.
+ * - 'cie94', 'cie94textiles': CIE94 with the weights for graphic arts or textiles.
+ * - 'cmc21', 'cmc11': CMC l:c of 2:1 (acceptability) or 1:1 (perceptibility).
+ * - 'cam16ucs', 'cam16lcd', 'cam16scd': Distance in CAM16-UCS and its variants.
+ * - 'itp': ΔE ITP in ICtCp.
+ * - 'ez': ΔEz in Jzazbz.
+ */
+export type DifferenceMethod = 'sqrt' | 'cie76' | 'ciede2000' | 'cie94' | 'cie94textiles' | 'cmc21' | 'cmc11' | 'cam16ucs' | 'cam16lcd' | 'cam16scd' | 'itp' | 'ez';
+
+/**
+ * Methods of color difference on the scale of CIELAB, which can be classified by NBS unit.
+ */
+export type NbsDifferenceMethod = 'sqrt' | 'cie76' | 'ciede2000' | 'cie94' | 'cie94textiles' | 'cmc21' | 'cmc11';
+
+/**
+ * All the methods of color difference which can be classified by NBS unit.
+ */
+export const NBS_DIFFERENCE_METHODS: readonly NbsDifferenceMethod[] = Object.freeze(['sqrt', 'cie76', 'ciede2000', 'cie94', 'cie94textiles', 'cmc21', 'cmc11']);
+
+function nameOf(cs: ColorSpace | string): string {
+	return ('string' === typeof cs) ? cs.toLowerCase() : ColorSpace[cs].toLowerCase();
+}
+
+function labelOf(cs: ColorSpace | string): string {
+	return ('string' === typeof cs) ? cs : ColorSpace[cs];
+}
+
+// Composite the text color over the background color, and the background color over the backdrop.
+function compositePair(txt: Color, bg: Color, backdrop: Color): [Triplet, Triplet] {
+	const bgRgb: Triplet = Contrast.compositeOver(bg, backdrop.asRgb());
+	return [Contrast.compositeOver(txt, bgRgb), bgRgb];
+}
+
 export class Color {
 
-	#ts: Map<ColorSpace, Triplet> = new Map();
+	#ts: Map<string, Triplet> = new Map();
 	#us: Map<string, string | boolean | number> = new Map();
-	#cs: ColorSpace | null = null;
+	#cs: ColorSpace | string | null = null;
 	#al: number = 1;
+	#ctx: Context;
 
-	constructor(cs: ColorSpace | null = null, t: Triplet | null = null, al: number = 1) {
+	/**
+	 * Creates a color.
+	 * @param {ColorSpace | string | null} cs - The color space or the name of a registered color space.
+	 * @param {Triplet | null} t - The triplet.
+	 * @param {number} al - The alpha value.
+	 * @param {Context} ctx - The context giving the conversion settings. The report of saturation is ignored.
+	 */
+	constructor(cs: ColorSpace | string | null = null, t: Triplet | null = null, al: number = 1, ctx: Context = {}) {
 		if (cs !== null && t !== null) {  // Must check for null.
-			this.#ts.set(cs, t);
+			this.#ts.set(nameOf(cs), t);
 			this.#cs = cs;
 			this.#al = al;
 		}
+		const { saturation, ...settings } = ctx;
+		this.#ctx = Object.freeze(settings);
+	}
+
+	/**
+	 * Returns the context giving the conversion settings.
+	 * @returns {Context} The context.
+	 */
+	context(): Context {
+		return this.#ctx;
 	}
 
 	/**
@@ -61,24 +142,24 @@ export class Color {
 		if (null === this.#cs) {
 			return 'empty';
 		}
-		const t = this.#ts.get(this.#cs) as Triplet;
+		const t = this.#ts.get(nameOf(this.#cs)) as Triplet;
 		if (this.#al !== 1) {
-			return `${ColorSpace[this.#cs]}[${t[0]}, ${t[1]}, ${t[2]}, ${this.#al}]`;
+			return `${labelOf(this.#cs)}[${t[0]}, ${t[1]}, ${t[2]}, ${this.#al}]`;
 		}
-		return `${ColorSpace[this.#cs]}[${t[0]}, ${t[1]}, ${t[2]}]`;
+		return `${labelOf(this.#cs)}[${t[0]}, ${t[1]}, ${t[2]}]`;
 	}
 
 	/**
 	 * Sets the color space and the triplet.
-	 * @param {ColorSpace} cs - The color space.
+	 * @param {ColorSpace | string} cs - The color space or the name of a registered color space.
 	 * @param {Triplet} t - The triplet.
 	 * @param {number} al - The alpha value.
 	 */
-	set(cs: ColorSpace, t: Triplet, al: number = 1): void {
+	set(cs: ColorSpace | string, t: Triplet, al: number = 1): void {
 		this.#ts.clear();
 		this.#us.clear();
 
-		this.#ts.set(cs, t);
+		this.#ts.set(nameOf(cs), t);
 		this.#cs = cs;
 		this.#al = al;
 	}
@@ -88,205 +169,234 @@ export class Color {
 		this.#al = al;
 	}
 
-	as(cs: ColorSpace): Triplet {
-		switch (cs) {
-			case ColorSpace.Rgb    : return this.asRgb();
-			case ColorSpace.Hsl    : return this.asHsl();
-			case ColorSpace.Yiq    : return this.asYiq();
-			case ColorSpace.Lrgb   : return this.asLrgb();
-			case ColorSpace.Xyz    : return this.asXyz();
-			case ColorSpace.Xyy    : return this.asXyy();
-			case ColorSpace.Lab    : return this.asLab();
-			case ColorSpace.Lch    : return this.asLch();
-			case ColorSpace.Lms    : return this.asLms();
-			case ColorSpace.Munsell: return this.asMunsell();
-			case ColorSpace.Pccs   : return this.asPccs();
-			case ColorSpace.Tone   : return this.asTone();
+	/**
+	 * Returns the triplet of the color space, converting it along the conversion graph.
+	 * All the color spaces passed through are cached.
+	 * @param {ColorSpace | string} cs - The color space or the name of a registered color space.
+	 * @returns {Triplet} The triplet.
+	 */
+	as(cs: ColorSpace | string): Triplet {
+		const dst: string = nameOf(cs);
+		if (this.#ts.has(dst)) {
+			return this.#ts.get(dst) as Triplet;
 		}
+		const src: string = nameOf(this.#cs ?? ColorSpace.Xyz);
+		if (null === this.#cs) {  // An empty color is regarded as black.
+			this.#ts.set(src, [0, 0, 0]);
+		}
+		const path: string[] = Conv.findPath(src, dst);
+		let t: Triplet = this.#ts.get(src) as Triplet;
+
+		for (let i: number = 1; i < path.length; ++i) {
+			if (this.#ts.has(path[i])) {
+				t = this.#ts.get(path[i]) as Triplet;
+				continue;
+			}
+			const sat: Saturation = {};
+			const u: Triplet = Conv.getConverter(path[i - 1], path[i])(t, { ...this.#ctx, saturation: sat });
+			this.#ts.set(path[i], u);
+			this.#storeSaturation(sat);
+			t = u;
+		}
+		return t;
+	}
+
+	#storeSaturation(sat: Saturation): void {
+		if (undefined !== sat.rgb) this.#us.set('rgb_saturation', sat.rgb);
+		if (undefined !== sat.xyy) this.#us.set('xyy_saturation', sat.xyy);
+		if (undefined !== sat.munsell) this.#us.set('munsell_saturation', sat.munsell);
 	}
 
 
 	// -------------------------------------------------------------------------
 
 
-	asRgb(): Triplet {
-		if (this.#ts.has(ColorSpace.Rgb)) {
-			return this.#ts.get(ColorSpace.Rgb) as Triplet;
+	/**
+	 * Returns the triplet of 8-bit RGB, rounded by the rounding mode of the context.
+	 * @param {GamutMapping | null} mapping - The gamut mapping method. If not given, each channel is clamped.
+	 * @returns {Triplet} The triplet.
+	 */
+	asRgb(mapping: GamutMapping | null = null): Triplet {
+		if (mapping) {
+			return mapToGamut(this.asXyz(), 'xyz', 'rgb', mapping, this.#ctx);
 		}
-		let t: Triplet;
-		switch (this.#cs) {
-			case ColorSpace.Hsl:
-				t = Hsl.toRgb(this.asHsl());
-				break;
-			default:
-				t = Rgb.fromLrgb(this.asLrgb());
-				break;
+		return this.as(ColorSpace.Rgb);
+	}
+
+	/**
+	 * Returns the triplet of floating-point sRGB.
+	 * @param {GamutMapping | null} mapping - The gamut mapping method. If not given, the values are not clamped.
+	 * @returns {Triplet} The triplet.
+	 */
+	asSrgb(mapping: GamutMapping | null = null): Triplet {
+		if (mapping) {
+			return mapToGamut(this.asXyz(), 'xyz', 'srgb', mapping, this.#ctx);
 		}
-		this.#ts.set(ColorSpace.Rgb, t);
-		this.#us.set('rgb_saturation', Rgb.isSaturated);
-		return t;
+		return this.as(ColorSpace.Srgb);
 	}
 
 	asHsl(): Triplet {
-		if (this.#ts.has(ColorSpace.Hsl)) {
-			return this.#ts.get(ColorSpace.Hsl) as Triplet;
-		}
-		const t: Triplet = Hsl.fromRgb(this.asRgb());
-		this.#ts.set(ColorSpace.Hsl, t);
-		return t;
+		return this.as(ColorSpace.Hsl);
+	}
+
+	asHsv(): Triplet {
+		return this.as(ColorSpace.Hsv);
+	}
+
+	asHwb(): Triplet {
+		return this.as(ColorSpace.Hwb);
 	}
 
 	asYiq(): Triplet {
-		if (this.#ts.has(ColorSpace.Yiq)) {
-			return this.#ts.get(ColorSpace.Yiq) as Triplet;
-		}
-		const t: Triplet = Yiq.fromLrgb(this.asLrgb());
-		this.#ts.set(ColorSpace.Yiq, t);
-		return t;
+		return this.as(ColorSpace.Yiq);
+	}
+
+	/**
+	 * Returns the code values of YCbCr of BT.601 in the range and the bit depth of the context.
+	 * @returns {Triplet} The triplet.
+	 */
+	asYcbcr601(): Triplet {
+		return this.as(ColorSpace.Ycbcr601);
+	}
+
+	/**
+	 * Returns the code values of YCbCr of BT.709 in the range and the bit depth of the context.
+	 * @returns {Triplet} The triplet.
+	 */
+	asYcbcr709(): Triplet {
+		return this.as(ColorSpace.Ycbcr709);
+	}
+
+	/**
+	 * Returns the code values of YCbCr of BT.2020 in the range and the bit depth of the context.
+	 * @returns {Triplet} The triplet.
+	 */
+	asYcbcr2020(): Triplet {
+		return this.as(ColorSpace.Ycbcr2020);
+	}
+
+	asYcocg(): Triplet {
+		return this.as(ColorSpace.Ycocg);
 	}
 
 	asLrgb(): Triplet {
-		if (this.#ts.has(ColorSpace.Lrgb)) {
-			return this.#ts.get(ColorSpace.Lrgb) as Triplet;
-		}
-		let t: Triplet;
-		switch (this.#cs) {
-			case ColorSpace.Rgb:
-			case ColorSpace.Hsl:
-				t = Rgb.toLrgb(this.asRgb());
-				break;
-			case ColorSpace.Yiq:
-				t = Yiq.toLrgb(this.asYiq());
-				break;
-			default:
-				t = Lrgb.fromXyz(this.asXyz());
-				break;
-		}
-		this.#ts.set(ColorSpace.Lrgb, t);
-		return t;
+		return this.as(ColorSpace.Lrgb);
 	}
 
 	asXyz(): Triplet {
-		if (this.#ts.has(ColorSpace.Xyz)) {
-			return this.#ts.get(ColorSpace.Xyz) as Triplet;
-		}
-		let t: Triplet = [0, 0, 0];
-		switch (this.#cs) {
-			case ColorSpace.Rgb:
-			case ColorSpace.Hsl:
-			case ColorSpace.Yiq:
-			case ColorSpace.Lrgb:
-				t = Lrgb.toXyz(this.asLrgb());
-				break;
-			case ColorSpace.Lch:
-			case ColorSpace.Lab:
-				t = Lab.toXyz(this.asLab());
-				break;
-			case ColorSpace.Xyy:
-				t = Xxy.toXyz(this.asXyy());
-				this.#us.set('xyy_saturation', Xxy.isSaturated);
-				break;
-			case ColorSpace.Lms:
-				t = Lms.toXyz(this.asLms());
-				break;
-			case ColorSpace.Munsell:
-			case ColorSpace.Pccs:
-			case ColorSpace.Tone:
-				t = Munsell.toXyz(this.asMunsell());
-				this.#us.set('munsell_saturation', Munsell.isSaturated);
-				break;
-		}
-		this.#ts.set(ColorSpace.Xyz, t);
-		return t;
+		return this.as(ColorSpace.Xyz);
 	}
 
 	asXyy(): Triplet {
-		if (this.#ts.has(ColorSpace.Xyy)) {
-			return this.#ts.get(ColorSpace.Xyy) as Triplet;
-		}
-		const t: Triplet = Xxy.fromXyz(this.asXyz());
-		this.#ts.set(ColorSpace.Xyy, t);
-		return t;
+		return this.as(ColorSpace.Xyy);
+	}
+
+	asUvy(): Triplet {
+		return this.as(ColorSpace.Uvy);
 	}
 
 	asLab(): Triplet {
-		if (this.#ts.has(ColorSpace.Lab)) {
-			return this.#ts.get(ColorSpace.Lab) as Triplet;
-		}
-		let t: Triplet;
-		switch (this.#cs) {
-			case ColorSpace.Lch:
-				t = Lch.toLab(this.asLch());
-				break;
-			default:
-				t = Lab.fromXyz(this.asXyz());
-				break;
-		}
-		this.#ts.set(ColorSpace.Lab, t);
-		return t;
+		return this.as(ColorSpace.Lab);
 	}
 
 	asLch(): Triplet {
-		if (this.#ts.has(ColorSpace.Lch)) {
-			return this.#ts.get(ColorSpace.Lch) as Triplet;
-		}
-		const t: Triplet = Lch.fromLab(this.asLab());
-		this.#ts.set(ColorSpace.Lch, t);
-		return t;
+		return this.as(ColorSpace.Lch);
+	}
+
+	asLab50(): Triplet {
+		return this.as(ColorSpace.Lab50);
+	}
+
+	asLch50(): Triplet {
+		return this.as(ColorSpace.Lch50);
+	}
+
+	asLuv(): Triplet {
+		return this.as(ColorSpace.Luv);
+	}
+
+	asLchuv(): Triplet {
+		return this.as(ColorSpace.Lchuv);
+	}
+
+	asHsluv(): Triplet {
+		return this.as(ColorSpace.Hsluv);
+	}
+
+	asHpluv(): Triplet {
+		return this.as(ColorSpace.Hpluv);
+	}
+
+	asOklab(): Triplet {
+		return this.as(ColorSpace.Oklab);
+	}
+
+	asOklch(): Triplet {
+		return this.as(ColorSpace.Oklch);
+	}
+
+	/**
+	 * Returns the triplet of Jzazbz, where the white is of the luminance of the context.
+	 * @returns {Triplet} The triplet.
+	 */
+	asJzazbz(): Triplet {
+		return this.as(ColorSpace.Jzazbz);
+	}
+
+	asJzczhz(): Triplet {
+		return this.as(ColorSpace.Jzczhz);
+	}
+
+	/**
+	 * Returns the triplet of ICtCp, where the white is of the luminance of the context.
+	 * @returns {Triplet} The triplet.
+	 */
+	asIctcp(): Triplet {
+		return this.as(ColorSpace.Ictcp);
+	}
+
+	/**
+	 * Returns the triplet of CIECAM02 (J, C, h) under the viewing conditions of the context.
+	 * @returns {Triplet} The triplet.
+	 */
+	asCiecam02(): Triplet {
+		return this.as(ColorSpace.Ciecam02);
+	}
+
+	/**
+	 * Returns the triplet of CAM16 (J, C, h) under the viewing conditions of the context.
+	 * @returns {Triplet} The triplet.
+	 */
+	asCam16(): Triplet {
+		return this.as(ColorSpace.Cam16);
+	}
+
+	asCam16Ucs(): Triplet {
+		return this.as(ColorSpace.Cam16Ucs);
+	}
+
+	asCam16Lcd(): Triplet {
+		return this.as(ColorSpace.Cam16Lcd);
+	}
+
+	asCam16Scd(): Triplet {
+		return this.as(ColorSpace.Cam16Scd);
 	}
 
 	asLms(): Triplet {
-		if (this.#ts.has(ColorSpace.Lms)) {
-			return this.#ts.get(ColorSpace.Lms) as Triplet;
-		}
-		const t: Triplet = Lms.fromXyz(this.asXyz());
-		this.#ts.set(ColorSpace.Lms, t);
-		return t;
+		return this.as(ColorSpace.Lms);
 	}
 
 	asMunsell(): Triplet {
-		if (this.#ts.has(ColorSpace.Munsell)) {
-			return this.#ts.get(ColorSpace.Munsell) as Triplet;
-		}
-		let t: Triplet;
-		switch (this.#cs) {
-			case ColorSpace.Pccs:
-			case ColorSpace.Tone:
-				t = Pccs.toMunsell(this.asPccs());
-				break;
-			default:
-				t = Munsell.fromXyz(this.asXyz());
-				this.#us.set('munsell_saturation', Munsell.isSaturated);
-				break;
-		}
-		this.#ts.set(ColorSpace.Munsell, t);
-		return t;
+		return this.as(ColorSpace.Munsell);
 	}
 
 	asPccs(): Triplet {
-		if (this.#ts.has(ColorSpace.Pccs)) {
-			return this.#ts.get(ColorSpace.Pccs) as Triplet;
-		}
-		let t: Triplet;
-		switch (this.#cs) {
-			case ColorSpace.Tone:
-				t = Pccs.toNormalCoordinate(this.asTone());
-				break;
-			default:
-				t = Pccs.fromMunsell(this.asMunsell());
-				break;
-		}
-		this.#ts.set(ColorSpace.Pccs, t);
-		return t;
+		return this.as(ColorSpace.Pccs);
 	}
 
 	asTone(): Triplet {
-		if (this.#ts.has(ColorSpace.Tone)) {
-			return this.#ts.get(ColorSpace.Tone) as Triplet;
-		}
-		const t: Triplet = Pccs.toToneCoordinate(this.asPccs());
-		this.#ts.set(ColorSpace.Tone, t);
-		return t;
+		return this.as(ColorSpace.Tone);
 	}
 
 
@@ -308,6 +418,19 @@ export class Color {
 		return (this.#us.get('munsell_saturation') ?? false) as boolean;
 	}
 
+	/**
+	 * Checks whether the code values of YCbCr are broadcast-legal in the range and the bit depth of the context.
+	 * @param {Ycbcr.Standard} standard - A standard of YCbCr.
+	 * @returns {boolean} True if the color is legal.
+	 */
+	isBroadcastLegal(standard: Ycbcr.Standard = 'bt709'): boolean {
+		const cs: ColorSpace | undefined = { bt601: ColorSpace.Ycbcr601, bt709: ColorSpace.Ycbcr709, bt2020: ColorSpace.Ycbcr2020 }[standard];
+		if (cs === undefined) {
+			throw new Error(`Unknown standard of YCbCr: '${standard}'.`);
+		}
+		return Ycbcr.isLegal(this.as(cs), standard, this.#ctx.ycbcr);
+	}
+
 
 	// -------------------------------------------------------------------------
 
@@ -361,18 +484,145 @@ export class Color {
 		return n;
 	}
 
-	differenceFrom(c: Color, method: 'sqrt' | 'cie76' | 'ciede2000' = 'ciede2000'): number {
+	/**
+	 * Returns the appearance correlates under the viewing conditions of the context.
+	 * @param {Cam.Model} model - The color appearance model.
+	 * @returns {Cam.Appearance} The appearance correlates.
+	 */
+	asAppearance(model: Cam.Model = 'cam16'): Cam.Appearance {
+		return Cam.appearanceOf(this.asXyz(), this.#ctx.viewing, model);
+	}
+
+	differenceFrom(c: Color, method: DifferenceMethod = 'ciede2000'): number {
 		switch (method) {
 			case 'sqrt':
 				return Difference.distance(this.asLab(), c.asLab());
 			case 'cie76':
 				return Difference.CIE76(this.asLab(), c.asLab());
+			case 'cie94':
+				return Difference.CIE94(c.asLab(), this.asLab(), Difference.CIE94_WEIGHTS.graphicArts);
+			case 'cie94textiles':
+				return Difference.CIE94(c.asLab(), this.asLab(), Difference.CIE94_WEIGHTS.textiles);
+			case 'cmc21':
+				return Difference.CMC(c.asLab(), this.asLab(), 2, 1);
+			case 'cmc11':
+				return Difference.CMC(c.asLab(), this.asLab(), 1, 1);
+			case 'cam16ucs':
+				return Difference.CAM16UCS(this.asCam16Ucs(), c.asCam16Ucs(), Cam16Ucs.COEFFICIENTS.ucs.kL);
+			case 'cam16lcd':
+				return Difference.CAM16UCS(this.asCam16Lcd(), c.asCam16Lcd(), Cam16Ucs.COEFFICIENTS.lcd.kL);
+			case 'cam16scd':
+				return Difference.CAM16UCS(this.asCam16Scd(), c.asCam16Scd(), Cam16Ucs.COEFFICIENTS.scd.kL);
+			case 'itp':
+				return Difference.ITP(this.asIctcp(), c.asIctcp());
+			case 'ez':
+				return Difference.Ez(this.asJzazbz(), c.asJzazbz());
 			case 'ciede2000':
 			default:
 				return Difference.CIEDE2000(this.asLab(), c.asLab());
 		}
 	}
 
+	/**
+	 * Returns the classification of the difference from the color by NBS unit.
+	 * @param {Color} c - The color.
+	 * @param {NbsDifferenceMethod} method - The method of color difference, which must be on the scale of CIELAB.
+	 * @param {Difference.NbsLanguage} lang - The language of the label.
+	 * @returns {Difference.NbsClassification} The NBS unit, the category and its label.
+	 */
+	nbsFrom(c: Color, method: NbsDifferenceMethod = 'ciede2000', lang: Difference.NbsLanguage = 'en'): Difference.NbsClassification {
+		if (!NBS_DIFFERENCE_METHODS.includes(method)) {
+			throw new Error(`Color difference '${method}' cannot be classified by NBS unit.`);
+		}
+		return Difference.classifyByNbs(this.differenceFrom(c, method), lang);
+	}
+
+	/**
+	 * Returns the components of the CIEDE2000 difference from the reference color with the parametric factors.
+	 * @param {Color} c - The reference color.
+	 * @param {number} kL - The parametric factor for lightness (2 for textiles).
+	 * @param {number} kC - The parametric factor for chroma.
+	 * @param {number} kH - The parametric factor for hue.
+	 * @returns {Difference.Ciede2000Components} The components.
+	 */
+	differenceComponentsFrom(c: Color, kL: number = 1, kC: number = 1, kH: number = 1): Difference.Ciede2000Components {
+		return Difference.CIEDE2000Components(c.asLab(), this.asLab(), kL, kC, kH);
+	}
+
+
+	// -------------------------------------------------------------------------
+
+
+	/**
+	 * Returns the relative luminance of WCAG 2.x, ignoring the alpha value.
+	 * @returns {number} The relative luminance.
+	 */
+	relativeLuminance(): number {
+		return Contrast.relativeLuminanceOfRgb(this.asRgb());
+	}
+
+	/**
+	 * Returns the contrast ratio of WCAG 2.x between the color and the background color.
+	 * When the alpha value of the color is less than 1, the color is composited over the background color,
+	 * and so is the background color over the backdrop.
+	 * @param {Color} bg - The background color.
+	 * @param {Color} backdrop - The backdrop behind the background color, white by default.
+	 * @returns {number} The contrast ratio [1, 21].
+	 */
+	contrastRatioWith(bg: Color, backdrop: Color = new Color(ColorSpace.Rgb, [255, 255, 255])): number {
+		return Contrast.contrastRatioOfRgb(...compositePair(this, bg, backdrop));
+	}
+
+	/**
+	 * Checks whether the contrast ratio with the background color meets a success criterion of WCAG 2.x.
+	 * @param {Color} bg - The background color.
+	 * @param {Contrast.WcagLevel} level - The conformance level.
+	 * @param {Contrast.TextSize} size - The size of text.
+	 * @returns {boolean} True if the contrast ratio is enough.
+	 */
+	meetsWcagWith(bg: Color, level: Contrast.WcagLevel = 'AA', size: Contrast.TextSize = 'normal'): boolean {
+		return Contrast.meetsWcag(this.contrastRatioWith(bg), level, size);
+	}
+
+	/**
+	 * Returns the lightness contrast (Lc) of APCA of the color as text on the background color.
+	 * Translucent colors are composited as contrastRatioWith() does.
+	 * @param {Color} bg - The background color.
+	 * @param {Color} backdrop - The backdrop behind the background color, white by default.
+	 * @returns {number} Lc, which is negative for light text on a dark background.
+	 */
+	apcaContrastWith(bg: Color, backdrop: Color = new Color(ColorSpace.Rgb, [255, 255, 255])): number {
+		return Apca.lightnessContrastOfRgb(...compositePair(this, bg, backdrop));
+	}
+
+	/**
+	 * Returns the minimum font size recommended by APCA for the color as text on the background color.
+	 * @param {Color} bg - The background color.
+	 * @param {number} weight - The font weight (100, 200, ..., 900).
+	 * @returns {number | null} The minimum font size (px), or null if no size is recommended.
+	 */
+	apcaMinimumFontSizeWith(bg: Color, weight: number = 400): number | null {
+		return Apca.minimumFontSizeOf(this.apcaContrastWith(bg), weight);
+	}
+
+	/**
+	 * Returns the closest color that meets a target contrast as text on the background color by adjusting the lightness.
+	 * Where the color of a lightness is out of the sRGB gamut, its chroma is reduced.
+	 * The background color is composited over white, and the color is composited over the background color before the contrast is evaluated.
+	 * @param {Color} bg - The background color.
+	 * @param {ContrastFix.ContrastTarget} target - The target contrast.
+	 * @param {ContrastFix.LightnessAxis} axis - The axis of the lightness to be adjusted.
+	 * @param {ContrastFix.DistanceMethod} distance - The method of measuring the distance from the color.
+	 * @returns {Color | null} A new Color object, or null if no color within the sRGB gamut meets the target.
+	 */
+	fixContrastWith(bg: Color, target: ContrastFix.ContrastTarget, axis: ContrastFix.LightnessAxis = 'lch', distance: ContrastFix.DistanceMethod = 'ciede2000'): Color | null {
+		const bgRgb: Triplet = Contrast.compositeOver(bg, [255, 255, 255]);
+		const fgRgb: Triplet = Contrast.compositeOver(this, bgRgb);
+		const ret: ContrastFix.ContrastFixResult | null = ContrastFix.fixContrast(fgRgb, bgRgb, target, { axis, distance, ctx: this.#ctx });
+		return ret ? new Color(ColorSpace.Rgb, ret.rgb, 1, this.#ctx) : null;
+	}
+
+
 
 	// -------------------------------------------------------------------------
 
@@ -382,7 +632,7 @@ export class Color {
 	 * @returns {Color} A new Color object.
 	 */
 	toMonochrome(): Color {
-		return new Color(ColorSpace.Lab, [this.asLab()[0], 0, 0]);
+		return new Color(ColorSpace.Lab, [this.asLab()[0], 0, 0], 1, this.#ctx);
 	}
 
 
@@ -392,38 +642,63 @@ export class Color {
 	/**
 	 * Converts the color to protanopia.
 	 * @param {string} method - The method to use for the conversion. 'lms' or 'lrgb'.
-	 * @param {boolean} doCorrection - Whether to apply the Okajima correction.
+	 * @param {boolean} doCorrection - Whether to apply the Okajima correction. The parameters are taken from the context.
 	 * @returns {Color} A new Color object.
 	 */
 	toProtanopia(method: 'lms' | 'lrgb' = 'lrgb', doCorrection: boolean = false): Color {
-		ColorVision.setOkajimaCorrectionOption(doCorrection);
+		const ctx: Context = { ...this.#ctx, okajima: { ...this.#ctx.okajima, correction: doCorrection } };
 		switch (method) {
 			case 'lms':
-				const lms0: Triplet = ColorVision.lmsToProtanopia(this.asLms());
-				return new Color(ColorSpace.Lms, lms0);
+				const lms0: Triplet = ColorVision.lmsToProtanopia(this.asLms(), [0, 0, 0], ctx);
+				return new Color(ColorSpace.Lms, lms0, 1, this.#ctx);
 			case 'lrgb':
 			default:
-				const lms1: Triplet = ColorVision.lrgbToProtanopia(this.asLrgb());
-				return new Color(ColorSpace.Lms, lms1);
+				const lms1: Triplet = ColorVision.lrgbToProtanopia(this.asLrgb(), [0, 0, 0], ctx);
+				return new Color(ColorSpace.Lms, lms1, 1, this.#ctx);
 		}
 	}
 
 	/**
 	 * Converts the color to deuteranopia.
 	 * @param {string} method - The method to use for the conversion. 'lms' or 'lrgb'.
-	 * @param {boolean} doCorrection - Whether to apply the Okajima correction.
+	 * @param {boolean} doCorrection - Whether to apply the Okajima correction. The parameters are taken from the context.
 	 * @returns {Color} A new Color object.
 	 */
 	toDeuteranopia(method: 'lms' | 'lrgb' = 'lrgb', doCorrection: boolean = false): Color {
-		ColorVision.setOkajimaCorrectionOption(doCorrection);
+		const ctx: Context = { ...this.#ctx, okajima: { ...this.#ctx.okajima, correction: doCorrection } };
 		switch (method) {
 			case 'lms':
-				const lms0: Triplet = ColorVision.lmsToDeuteranopia(this.asLms());
-				return new Color(ColorSpace.Lms, lms0);
+				const lms0: Triplet = ColorVision.lmsToDeuteranopia(this.asLms(), [0, 0, 0], ctx);
+				return new Color(ColorSpace.Lms, lms0, 1, this.#ctx);
 			case 'lrgb':
 			default:
-				const lms1: Triplet = ColorVision.lrgbToDeuteranopia(this.asLrgb());
-				return new Color(ColorSpace.Lms, lms1);
+				const lms1: Triplet = ColorVision.lrgbToDeuteranopia(this.asLrgb(), [0, 0, 0], ctx);
+				return new Color(ColorSpace.Lms, lms1, 1, this.#ctx);
 		}
 	}
+
+	/**
+	 * Converts the color to tritanopia.
+	 * @param {string} method - The method to use for the conversion. 'lms' or 'lrgb'.
+	 * @returns {Color} A new Color object.
+	 */
+	toTritanopia(method: 'lms' | 'lrgb' = 'lrgb'): Color {
+		switch (method) {
+			case 'lms':
+				const lms0: Triplet = ColorVision.lmsToTritanopia(this.asLms());
+				return new Color(ColorSpace.Lms, lms0, 1, this.#ctx);
+			case 'lrgb':
+			default:
+				const lms1: Triplet = ColorVision.lrgbToTritanopia(this.asLrgb(), [0, 0, 0], this.#ctx);
+				return new Color(ColorSpace.Lms, lms1, 1, this.#ctx);
+		}
+	}
+
+	/**
+	 * Converts the color to the color vision of elderly people (70 years old), keeping the lightness.
+	 * @returns {Color} A new Color object.
+	 */
+	toElderly(): Color {
+		return new Color(ColorSpace.Lab, Age.labToElderlyAB(this.asLab()), 1, this.#ctx);
+	}
 }
@@ -2,7 +2,7 @@
  * Color-related constants.
  *
  * @author Takuto Yanagida
- * @version 2024-08-19
+ * @version 2026-10-19
  */
 
 import { Triplet } from './type';
@@ -20,3 +20,52 @@ export const D50_XYZ: Triplet = [D50_xyz[0] / D50_xyz[1], 1, D50_xyz[2] / D50_xy
  */
 export const D65_xyz: Triplet = [0.31273, 0.32902, 0.35825];
 export const D65_XYZ: Triplet = [D65_xyz[0] / D65_xyz[1], 1, D65_xyz[2] / D65_xyz[1]];
+
+/**
+ * Luminance (cd/m²) of the reference white of HDR, to which the white of SDR (Y = 1) is mapped
+ * Reference: ITU-R BT.2408
+ */
+export const SDR_WHITE_LUMINANCE: number = 203;
+
+/**
+ * Names of CIE standard illuminants.
+ */
+export type Illuminant = 'A' | 'C' | 'D50' | 'D55' | 'D65' | 'D75' | 'E' | 'F2' | 'F7' | 'F11';
+
+/**
+ * Chromaticity coordinates (x, y) of CIE standard illuminants (CIE 1931 2° standard observer)
+ * Reference: https://en.wikipedia.org/wiki/Standard_illuminant
+ * D50 and D65 are the same as D50_xyz and D65_xyz.
+ */
+export const ILLUMINANTS_xy: Readonly<Record<Illuminant, [number, number]>> = Object.freeze({
+	A  : [0.44757, 0.40745],
+	C  : [0.31006, 0.31616],
+	D50: [D50_xyz[0], D50_xyz[1]],
+	D55: [0.33242, 0.34743],
+	D65: [D65_xyz[0], D65_xyz[1]],
+	D75: [0.29902, 0.31485],
+	E  : [1 / 3, 1 / 3],
+	F2 : [0.37208, 0.37529],
+	F7 : [0.31292, 0.32933],
+	F11: [0.38052, 0.37713],
+});
+
+/**
+ * Tristimulus values (Y = 1) of CIE standard illuminants
+ */
+export const ILLUMINANTS: Readonly<Record<Illuminant, Triplet>> = Object.freeze({
+	A  : xyToXyz(ILLUMINANTS_xy.A),
+	C  : xyToXyz(ILLUMINANTS_xy.C),
+	D50: D50_XYZ,
+	D55: xyToXyz(ILLUMINANTS_xy.D55),
+	D65: D65_XYZ,
+	D75: xyToXyz(ILLUMINANTS_xy.D75),
+	E  : [1, 1, 1],
+	F2 : xyToXyz(ILLUMINANTS_xy.F2),
+	F7 : xyToXyz(ILLUMINANTS_xy.F7),
+	F11: xyToXyz(ILLUMINANTS_xy.F11),
+});
+
+function xyToXyz([x, y]: [number, number]): Triplet {
+	return [x / y, 1, (1 - x - y) / y];
+}
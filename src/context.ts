@@ -0,0 +1,65 @@
+/**
+ * Context of Conversions
+ * Conversion settings and the report of saturation, which are passed explicitly to conversions
+ * instead of being held as module-level state.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from './type';
+import { ViewingConditions } from './cs/cam';
+import { YcbcrOption } from './cs/ycbcr';
+import { Rounding } from './cs/rgb';
+
+/**
+ * Method of conversion between CIE 1931 XYZ and LMS.
+ */
+export type LmsMethod = {
+	direct: Triplet[];
+	inverse: Triplet[];
+};
+
+/**
+ * Method of conversion between Munsell and PCCS.
+ */
+export type PccsMethod = {
+	calcMunsellH: (h: number) => number;
+	calcMunsellC: (h: number, l: number, s: number) => number;
+	calcPccsH: (H: number) => number;
+	calcPccsS: (V: number, C: number, h: number) => number;
+};
+
+/**
+ * Options of the Okajima correction of color vision simulation.
+ */
+export type OkajimaOption = {
+	correction: boolean;
+	alpha?: number;
+	beta?: number;
+};
+
+/**
+ * Report of saturation, where conversions store whether the color is saturated.
+ * Each property is set only when the corresponding conversion is performed.
+ */
+export type Saturation = {
+	rgb?: boolean;
+	xyy?: boolean;
+	munsell?: boolean;
+};
+
+/**
+ * Context of conversions.
+ * Omitted settings fall back to the defaults of each module.
+ */
+export type Context = {
+	lms?: LmsMethod;
+	pccs?: PccsMethod;
+	okajima?: OkajimaOption;
+	viewing?: ViewingConditions;
+	luminance?: number;
+	ycbcr?: YcbcrOption;
+	rounding?: Rounding;
+	saturation?: Saturation;
+};
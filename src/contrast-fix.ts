@@ -0,0 +1,182 @@
+/**
+ * Contrast Fixing
+ * Adjusts the lightness of a text color, preserving its hue and chroma, until it meets a target contrast
+ * with a background color. Where the color of a lightness is out of the sRGB gamut, its chroma is reduced
+ * keeping the lightness and the hue. Among the solutions, the closest one to the original is chosen.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from './type';
+import { Context } from './context';
+import { CIEDE2000, distance } from './eval/difference';
+import { contrastRatioOfRgb } from './eval/contrast';
+import { lightnessContrastOfRgb } from './eval/apca';
+import { getConverter } from './conv';
+import { GamutMapping, mapToGamut } from './gamut';
+import { isInGamut } from './cs/srgb';
+
+/**
+ * Target contrasts.
+ * - 'wcag': The contrast ratio of WCAG 2.x must be at least 'value'.
+ * - 'apca': The absolute value of Lc of APCA must be at least 'value'.
+ */
+export type ContrastTarget = {
+	metric: 'wcag' | 'apca';
+	value: number;
+};
+
+/**
+ * Axes of the lightness to be adjusted.
+ * - 'lch': L* of CIELCh.
+ * - 'oklch': L of OKLCh.
+ * - 'munsell': Value of Munsell.
+ */
+export type LightnessAxis = 'lch' | 'oklch' | 'munsell';
+
+/**
+ * Methods of measuring the distance from the original color.
+ * - 'ciede2000': CIEDE2000.
+ * - 'oklab': Euclidean distance in OKLab.
+ */
+export type DistanceMethod = 'ciede2000' | 'oklab';
+
+/**
+ * Options of contrast fixing.
+ */
+export type ContrastFixOptions = {
+	axis?: LightnessAxis;
+	distance?: DistanceMethod;
+	ctx?: Context;
+};
+
+/**
+ * Result of contrast fixing.
+ */
+export type ContrastFixResult = {
+	/** RGB color of the fixed text color */
+	rgb: Triplet;
+	/** Contrast of the fixed text color on the background color */
+	contrast: number;
+	/** Distance from the original text color */
+	difference: number;
+};
+
+// Index of the lightness in the triplet, the range of the lightness, and the gamut mapping reducing the chroma for each axis.
+type Axis = {
+	index: number;
+	min: number;
+	max: number;
+	mapping: GamutMapping;
+};
+
+const AXES: Readonly<Record<LightnessAxis, Axis>> = Object.freeze({
+	lch    : { index: 0, min: 0, max: 100, mapping: 'lch' },
+	oklch  : { index: 0, min: 0, max: 1,   mapping: 'css' },
+	munsell: { index: 1, min: 0, max: 10,  mapping: 'lch' },
+});
+
+const STEPS: number = 100;
+const BISECTION: number = 16;
+const GAMUT_EPSILON: number = 0.5 / 255;
+
+/**
+ * Find the closest text color to the original that meets a target contrast by adjusting the lightness.
+ * Where the color of a lightness is out of the sRGB gamut, its chroma is reduced by gamut mapping.
+ * The colors are 8-bit RGB, and the contrast is evaluated after rounding.
+ * @param {Triplet} fg RGB color of the text.
+ * @param {Triplet} bg RGB color of the background.
+ * @param {ContrastTarget} target A target contrast.
+ * @param {ContrastFixOptions} options Options.
+ * @return {ContrastFixResult | null} The result, or null if no solution exists within the sRGB gamut.
+ */
+export function fixContrast(fg: Triplet, bg: Triplet, target: ContrastTarget, { axis = 'lch', distance: method = 'ciede2000', ctx = {} }: ContrastFixOptions = {}): ContrastFixResult | null {
+	const ax: Axis | undefined = AXES[axis];
+	if (!ax) {
+		throw new Error(`Unknown lightness axis: '${axis}'.`);
+	}
+	const contrast = contrastFunctionOf(target.metric, bg);
+	const diff = distanceFunctionOf(method, fg, ctx);
+
+	if (target.value <= Math.abs(contrast(fg))) {
+		return { rgb: [...fg], contrast: contrast(fg), difference: 0 };
+	}
+	const orig: Triplet = getConverter('rgb', axis)(fg, ctx);
+	const toSrgb = getConverter(axis, 'srgb');
+
+	const candidateOf = (l: number): Triplet => {
+		const vs: Triplet = [...orig];
+		vs[ax.index] = l;
+		let srgb: Triplet = toSrgb(vs, ctx);
+		if (!isInGamut(srgb, GAMUT_EPSILON)) {
+			srgb = mapToGamut(vs, axis, 'srgb', ax.mapping, ctx);
+		}
+		return srgb.map((v: number): number => Math.round(Math.min(Math.max(v, 0), 1) * 255)) as Triplet;
+	};
+	const meets = (rgb: Triplet): boolean => target.value <= Math.abs(contrast(rgb));
+
+	let best: ContrastFixResult | null = null;
+	for (const end of [ax.min, ax.max]) {
+		const rgb: Triplet | null = search(orig[ax.index], end, candidateOf, meets);
+		if (rgb === null) continue;
+		const d: number = diff(rgb);
+		if (best === null || d < best.difference) {
+			best = { rgb, contrast: contrast(rgb), difference: d };
+		}
+	}
+	return best;
+}
+
+// March from the original lightness toward the end, and refine the first solution by bisection.
+function search(start: number, end: number, candidateOf: (l: number) => Triplet, meets: (rgb: Triplet) => boolean): Triplet | null {
+	const step: number = (end - start) / STEPS;
+	if (step === 0) return null;
+
+	let prev: number = start;
+	for (let i: number = 1; i <= STEPS; ++i) {
+		const l: number = start + step * i;
+		let rgb: Triplet = candidateOf(l);
+		if (!meets(rgb)) {
+			prev = l;
+			continue;
+		}
+		let lo: number = prev, hi: number = l;
+		for (let j: number = 0; j < BISECTION; ++j) {
+			const mid: number = (lo + hi) / 2;
+			const cur: Triplet = candidateOf(mid);
+			if (meets(cur)) {
+				hi = mid;
+				rgb = cur;
+			} else {
+				lo = mid;
+			}
+		}
+		return rgb;
+	}
+	return null;
+}
+
+function contrastFunctionOf(metric: ContrastTarget['metric'], bg: Triplet): (rgb: Triplet) => number {
+	switch (metric) {
+		case 'wcag': return (rgb: Triplet): number => contrastRatioOfRgb(rgb, bg);
+		case 'apca': return (rgb: Triplet): number => lightnessContrastOfRgb(rgb, bg);
+	}
+	throw new Error(`Unknown contrast metric: '${metric}'.`);
+}
+
+function distanceFunctionOf(method: DistanceMethod, fg: Triplet, ctx: Context): (rgb: Triplet) => number {
+	switch (method) {
+		case 'ciede2000': {
+			const toLab = getConverter('rgb', 'lab');
+			const lab: Triplet = toLab(fg, ctx);
+			return (rgb: Triplet): number => CIEDE2000(lab, toLab(rgb, ctx));
+		}
+		case 'oklab': {
+			const toOklab = getConverter('rgb', 'oklab');
+			const lab: Triplet = toOklab(fg, ctx);
+			return (rgb: Triplet): number => distance(lab, toOklab(rgb, ctx));
+		}
+	}
+	throw new Error(`Unknown distance method: '${method}'.`);
+}
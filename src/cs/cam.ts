@@ -0,0 +1,363 @@
+/**
+ * This class converts the color appearance models CIECAM02 and CAM16.
+ * Colors are converted to the appearance correlates under viewing conditions,
+ * and the triplets of the color spaces 'ciecam02' and 'cam16' are lightness J, chroma C and hue angle h.
+ * Reference: N. Moroney, M. D. Fairchild, et al., The CIECAM02 color appearance model, 2002.
+ * Reference: C. Li, Z. Li, Z. Wang, et al., Comprehensive color solutions: CAM16, CAT16, and CAM16-UCS,
+ * Color Research and Application, vol.42, no.6, pp.703-718, 2017.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { D65_XYZ, Illuminant } from '../const';
+import { DEG_RAD, RAD_DEG, atan2rad, mag, mulMat, mulMatVec, invMat } from '../math';
+import { CAT02, CAT16, whitePointOf } from '../adaptation';
+import { Context } from '../context';
+import { addEdge } from '../graph';
+
+/**
+ * Color appearance models.
+ */
+export type Model = 'ciecam02' | 'cam16';
+
+/**
+ * Surrounds of viewing conditions.
+ * - 'average': Viewing surface colors.
+ * - 'dim': Viewing a display or television in a dim room.
+ * - 'dark': Viewing a projector in a dark room.
+ */
+export type Surround = 'average' | 'dim' | 'dark';
+
+/**
+ * Viewing conditions.
+ * - white: The white point (XYZ, where Y of the perfect white is 1) or the name of a standard illuminant.
+ * - adaptingLuminance: The luminance of the adapting field La (cd/m^2), usually 20% of the luminance of the white.
+ * - backgroundLuminance: The relative luminance of the background Yb, where Y of the white is 100.
+ * - surround: The surround.
+ * - discounting: Whether the illuminant is discounted, that is, the adaptation is complete.
+ */
+export type ViewingConditions = {
+	white: Triplet | Illuminant;
+	adaptingLuminance: number;
+	backgroundLuminance: number;
+	surround: Surround;
+	discounting?: boolean;
+};
+
+/**
+ * Appearance correlates.
+ * - J: Lightness
+ * - C: Chroma
+ * - h: Hue angle
+ * - M: Colorfulness
+ * - s: Saturation
+ * - Q: Brightness
+ * - H: Hue composition
+ */
+export type Appearance = {
+	J: number;
+	C: number;
+	h: number;
+	M: number;
+	s: number;
+	Q: number;
+	H: number;
+};
+
+/**
+ * Viewing conditions of sRGB, where a display of 64 lux is viewed on the background of 20% gray.
+ */
+export const DEFAULT_VIEWING_CONDITIONS: ViewingConditions = Object.freeze<ViewingConditions>({
+	white              : D65_XYZ,
+	adaptingLuminance  : 64 / Math.PI * 0.2,
+	backgroundLuminance: 20,
+	surround           : 'average',
+	discounting        : false,
+});
+
+// F, c, Nc
+const SURROUNDS: Readonly<Record<Surround, Triplet>> = Object.freeze({
+	average: [1.0, 0.69,  1.0],
+	dim    : [0.9, 0.59,  0.9],
+	dark   : [0.8, 0.525, 0.8],
+});
+
+/*
+ * Hunt-Pointer-Estevez space used by CIECAM02 for the post-adaptation.
+ */
+const HPE: Triplet[] = [
+	[ 0.38971, 0.68898, -0.07868],
+	[-0.22981, 1.18340,  0.04641],
+	[ 0.00000, 0.00000,  1.00000]
+];
+
+const HUE_H: number[] = [20.14, 90.00, 164.25, 237.53, 380.14];
+const HUE_E: number[] = [0.8, 0.7, 1.0, 1.2, 0.8];
+
+const INV_ADAPT: Triplet[] = [
+	[460,  451,   288],
+	[460, -891,  -261],
+	[460, -220, -6300]
+];
+
+type Environment = {
+	c: number;
+	Nc: number;
+	n: number;
+	z: number;
+	Nbb: number;
+	FL: number;
+	Aw: number;
+	D: Triplet;
+	cat: Triplet[];
+	catInv: Triplet[];
+	post: Triplet[] | null;     // From the adapted responses of the CAT to the cone responses for the post-adaptation
+	postInv: Triplet[] | null;
+};
+
+const ENVIRONMENTS: WeakMap<ViewingConditions, Map<Model, Environment>> = new WeakMap();
+
+function environmentOf(vc: ViewingConditions, model: Model): Environment {
+	let es: Map<Model, Environment> | undefined = ENVIRONMENTS.get(vc);
+	if (!es) {
+		es = new Map();
+		ENVIRONMENTS.set(vc, es);
+	}
+	let env: Environment | undefined = es.get(model);
+	if (!env) {
+		env = createEnvironment(vc, model);
+		es.set(model, env);
+	}
+	return env;
+}
+
+function createEnvironment(vc: ViewingConditions, model: Model): Environment {
+	const sr: Triplet | undefined = SURROUNDS[vc.surround];
+	if (!sr) {
+		throw new Error(`Unknown surround: '${vc.surround}'.`);
+	}
+	const [F, c, Nc]: Triplet = sr;
+	const w: Triplet = whitePointOf(vc.white).map((v: number): number => v * 100) as Triplet;
+	const La: number = vc.adaptingLuminance;
+
+	const cat: Triplet[] = ('cam16' === model) ? CAT16 : CAT02;
+	const rgbW: Triplet = mulMatVec(cat, w);
+	const d: number = vc.discounting ? 1 : Math.min(Math.max(F * (1 - (1 / 3.6) * Math.exp((-La - 42) / 92)), 0), 1);
+	const D: Triplet = rgbW.map((v: number): number => d * w[1] / v + 1 - d) as Triplet;
+
+	const k: number = 1 / (5 * La + 1);
+	const k4: number = k * k * k * k;
+	const FL: number = 0.2 * k4 * (5 * La) + 0.1 * (1 - k4) * (1 - k4) * Math.cbrt(5 * La);
+	const n: number = vc.backgroundLuminance / w[1];
+	const z: number = 1.48 + Math.sqrt(n);
+	const Nbb: number = 0.725 * Math.pow(n, -0.2);
+
+	const post: Triplet[] | null = ('cam16' === model) ? null : mulMat(HPE, invMat(CAT02));
+	const postInv: Triplet[] | null = post ? invMat(post) : null;
+
+	const env: Environment = { c, Nc, n, z, Nbb, FL, Aw: 0, D, cat, catInv: invMat(cat), post, postInv };
+	const [ra, ga, ba]: Triplet = responsesOf(w, env);
+	env.Aw = (2 * ra + ga + ba / 20) * Nbb;
+	return env;
+}
+
+// XYZ (Y of the white is 100) to the post-adapted cone responses.
+function responsesOf(xyz: Triplet, env: Environment): Triplet {
+	const rgb: Triplet = mulMatVec(env.cat, xyz);
+	rgb[0] *= env.D[0];
+	rgb[1] *= env.D[1];
+	rgb[2] *= env.D[2];
+	if (env.post) mulMatVec(env.post, rgb, rgb);
+	rgb[0] = adapt(rgb[0], env.FL);
+	rgb[1] = adapt(rgb[1], env.FL);
+	rgb[2] = adapt(rgb[2], env.FL);
+	return rgb;
+}
+
+// The post-adapted cone responses to XYZ (Y of the white is 100).
+function xyzOf(rgbA: Triplet, env: Environment): Triplet {
+	const rgb: Triplet = [unadapt(rgbA[0], env.FL), unadapt(rgbA[1], env.FL), unadapt(rgbA[2], env.FL)];
+	if (env.postInv) mulMatVec(env.postInv, rgb, rgb);
+	rgb[0] /= env.D[0];
+	rgb[1] /= env.D[1];
+	rgb[2] /= env.D[2];
+	return mulMatVec(env.catInv, rgb, rgb);
+}
+
+// The post-adaptation nonlinear response compression, omitting the constant 0.1, which is compensated in the correlates.
+function adapt(v: number, FL: number): number {
+	const p: number = Math.pow(FL * Math.abs(v) / 100, 0.42);
+	return Math.sign(v) * 400 * p / (p + 27.13);
+}
+
+function unadapt(v: number, FL: number): number {
+	const a: number = Math.abs(v);
+	return Math.sign(v) * 100 / FL * Math.pow(27.13 * a / (400 - a), 1 / 0.42);
+}
+
+/**
+ * Get the factor converting chroma C to colorfulness M, which is the fourth root of the luminance-level adaptation factor FL.
+ * @param {ViewingConditions} vc Viewing conditions.
+ * @param {Model} model A color appearance model.
+ * @return {number} The factor.
+ */
+export function colorfulnessFactorOf(vc: ViewingConditions = DEFAULT_VIEWING_CONDITIONS, model: Model = 'cam16'): number {
+	return Math.pow(environmentOf(vc, model).FL, 0.25);
+}
+
+function hueCompositionOf(h: number): number {
+	const hp: number = (h < HUE_H[0]) ? (h + 360) : h;
+	let i: number = 0;
+	while (i < 3 && HUE_H[i + 1] <= hp) ++i;
+	const x: number = (hp - HUE_H[i]) / HUE_E[i];
+	return i * 100 + 100 * x / (x + (HUE_H[i + 1] - hp) / HUE_E[i + 1]);
+}
+
+function hueAngleOf(H: number): number {
+	const hc: number = ((H % 400) + 400) % 400;
+	const i: number = Math.floor(hc / 100);
+	const d: number = hc - i * 100;
+	const [hi, hj, ei, ej]: number[] = [HUE_H[i], HUE_H[i + 1], HUE_E[i], HUE_E[i + 1]];
+	const h: number = (d * (ej * hi - ei * hj) - 100 * hi * ej) / (d * (ej - ei) - 100 * ej);
+	return (360 <= h) ? (h - 360) : h;
+}
+
+
+// XYZ -------------------------------------------------------------------------
+
+
+/**
+ * Calculate the appearance correlates of CIE 1931 XYZ.
+ * @param {Triplet} xyz XYZ color.
+ * @param {ViewingConditions} vc Viewing conditions.
+ * @param {Model} model A color appearance model.
+ * @return {Appearance} Appearance correlates.
+ */
+export function appearanceOf(xyz: Triplet, vc: ViewingConditions = DEFAULT_VIEWING_CONDITIONS, model: Model = 'cam16'): Appearance {
+	const env: Environment = environmentOf(vc, model);
+	const [ra, ga, ba]: Triplet = responsesOf([xyz[0] * 100, xyz[1] * 100, xyz[2] * 100], env);
+
+	const a: number = ra - 12 * ga / 11 + ba / 11;
+	const b: number = (ra + ga - 2 * ba) / 9;
+	const h: number = atan2rad(b, a) * RAD_DEG;
+	const et: number = (Math.cos(h * DEG_RAD + 2) + 3.8) / 4;
+
+	const A: number = (2 * ra + ga + ba / 20) * env.Nbb;
+	const J: number = 100 * Math.pow(Math.max(A, 0) / env.Aw, env.c * env.z);
+	const Q: number = (4 / env.c) * Math.sqrt(J / 100) * (env.Aw + 4) * Math.pow(env.FL, 0.25);
+
+	const t: number = (50000 / 13 * env.Nc * env.Nbb * et * mag(a, b)) / (ra + ga + 21 / 20 * ba + 0.305);
+	const C: number = Math.pow(t, 0.9) * Math.sqrt(J / 100) * Math.pow(1.64 - Math.pow(0.29, env.n), 0.73);
+	const M: number = C * Math.pow(env.FL, 0.25);
+	const s: number = (0 < Q) ? 100 * Math.sqrt(M / Q) : 0;
+
+	return { J, C, h, M, s, Q, H: hueCompositionOf(h) };
+}
+
+/**
+ * Calculate CIE 1931 XYZ from appearance correlates.
+ * Lightness is given by J or Q, chroma by C, M or s, and hue by h or H.
+ * @param {Partial<Appearance>} app Appearance correlates.
+ * @param {ViewingConditions} vc Viewing conditions.
+ * @param {Model} model A color appearance model.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} XYZ color.
+ */
+export function fromAppearance(app: Partial<Appearance>, vc: ViewingConditions = DEFAULT_VIEWING_CONDITIONS, model: Model = 'cam16', dest: Triplet = [0, 0, 0]): Triplet {
+	const env: Environment = environmentOf(vc, model);
+	const fl4: number = Math.pow(env.FL, 0.25);
+
+	let J: number;
+	if (undefined !== app.J) {
+		J = app.J;
+	} else if (undefined !== app.Q) {
+		J = 100 * Math.pow(app.Q * env.c / (4 * (env.Aw + 4) * fl4), 2);
+	} else {
+		throw new Error('Lightness (J or Q) is required.');
+	}
+	let C: number;
+	if (undefined !== app.C) {
+		C = app.C;
+	} else if (undefined !== app.M) {
+		C = app.M / fl4;
+	} else if (undefined !== app.s) {
+		const Q: number = app.Q ?? (4 / env.c) * Math.sqrt(J / 100) * (env.Aw + 4) * fl4;
+		C = Math.pow(app.s / 100, 2) * Q / fl4;
+	} else {
+		throw new Error('Chroma (C, M or s) is required.');
+	}
+	let h: number;
+	if (undefined !== app.h) {
+		h = app.h;
+	} else if (undefined !== app.H) {
+		h = hueAngleOf(app.H);
+	} else {
+		throw new Error('Hue (h or H) is required.');
+	}
+	return toXyzOf(J, C, h, env, dest);
+}
+
+function toXyzOf(J: number, C: number, h: number, env: Environment, dest: Triplet): Triplet {
+	if (J <= 0) {
+		dest[0] = 0;
+		dest[1] = 0;
+		dest[2] = 0;
+		return dest;
+	}
+	const t: number = Math.pow(C / (Math.sqrt(J / 100) * Math.pow(1.64 - Math.pow(0.29, env.n), 0.73)), 1 / 0.9);
+	const rad: number = h * DEG_RAD;
+	const cos: number = Math.cos(rad);
+	const sin: number = Math.sin(rad);
+	const et: number = (Math.cos(rad + 2) + 3.8) / 4;
+
+	const A: number = env.Aw * Math.pow(J / 100, 1 / (env.c * env.z));
+	const p1: number = 50000 / 13 * env.Nc * env.Nbb * et;
+	const p2: number = A / env.Nbb;
+	const r: number = 23 * (p2 + 0.305) * t / (23 * p1 + t * (11 * cos + 108 * sin));
+
+	const rgbA: Triplet = mulMatVec(INV_ADAPT, [p2, r * cos, r * sin]);
+	const xyz: Triplet = xyzOf([rgbA[0] / 1403, rgbA[1] / 1403, rgbA[2] / 1403], env);
+	dest[0] = xyz[0] / 100;
+	dest[1] = xyz[1] / 100;
+	dest[2] = xyz[2] / 100;
+	return dest;
+}
+
+/**
+ * Convert CIE 1931 XYZ to lightness J, chroma C and hue angle h of a color appearance model.
+ * @param {Triplet} xyz XYZ color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {ViewingConditions} vc Viewing conditions.
+ * @param {Model} model A color appearance model.
+ * @return {Triplet} JCh color.
+ */
+export function fromXyz(xyz: Triplet, dest: Triplet = [0, 0, 0], vc: ViewingConditions = DEFAULT_VIEWING_CONDITIONS, model: Model = 'cam16'): Triplet {
+	const { J, C, h }: Appearance = appearanceOf(xyz, vc, model);
+	dest[0] = J;
+	dest[1] = C;
+	dest[2] = h;
+	return dest;
+}
+
+/**
+ * Convert lightness J, chroma C and hue angle h of a color appearance model to CIE 1931 XYZ.
+ * @param {Triplet} jch JCh color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {ViewingConditions} vc Viewing conditions.
+ * @param {Model} model A color appearance model.
+ * @return {Triplet} XYZ color.
+ */
+export function toXyz([J, C, h]: Triplet, dest: Triplet = [0, 0, 0], vc: ViewingConditions = DEFAULT_VIEWING_CONDITIONS, model: Model = 'cam16'): Triplet {
+	return toXyzOf(J, C, h, environmentOf(vc, model), dest);
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'ciecam02', (vs: Triplet, ctx?: Context): Triplet => fromXyz(vs, [0, 0, 0], ctx?.viewing, 'ciecam02'));
+addEdge('ciecam02', 'xyz', (vs: Triplet, ctx?: Context): Triplet => toXyz(vs, [0, 0, 0], ctx?.viewing, 'ciecam02'));
+addEdge('xyz', 'cam16', (vs: Triplet, ctx?: Context): Triplet => fromXyz(vs, [0, 0, 0], ctx?.viewing, 'cam16'));
+addEdge('cam16', 'xyz', (vs: Triplet, ctx?: Context): Triplet => toXyz(vs, [0, 0, 0], ctx?.viewing, 'cam16'));
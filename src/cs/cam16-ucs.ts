@@ -0,0 +1,95 @@
+/**
+ * This class converts the uniform color spaces based on CAM16: CAM16-UCS, CAM16-LCD and CAM16-SCD.
+ * The triplets are J', a' and b', and the color differences are the Euclidean distances where J' is divided by KL.
+ * - CAM16-UCS: For general use.
+ * - CAM16-LCD: For large color differences.
+ * - CAM16-SCD: For small color differences.
+ * Reference: C. Li, Z. Li, Z. Wang, et al., Comprehensive color solutions: CAM16, CAT16, and CAM16-UCS,
+ * Color Research and Application, vol.42, no.6, pp.703-718, 2017.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { DEG_RAD, RAD_DEG, atan2rad, mag } from '../math';
+import { Context } from '../context';
+import { addEdge } from '../graph';
+import { DEFAULT_VIEWING_CONDITIONS, ViewingConditions, colorfulnessFactorOf } from './cam';
+
+/**
+ * Variants of the uniform color space.
+ */
+export type Variant = 'ucs' | 'lcd' | 'scd';
+
+/**
+ * Coefficients of a uniform color space.
+ */
+export type Coefficients = {
+	kL: number;
+	c1: number;
+	c2: number;
+};
+
+export const COEFFICIENTS: Readonly<Record<Variant, Coefficients>> = Object.freeze({
+	ucs: Object.freeze({ kL: 1.00, c1: 0.007, c2: 0.0228 }),
+	lcd: Object.freeze({ kL: 0.77, c1: 0.007, c2: 0.0053 }),
+	scd: Object.freeze({ kL: 1.24, c1: 0.007, c2: 0.0363 }),
+});
+
+function coefficientsOf(variant: Variant): Coefficients {
+	const cs: Coefficients | undefined = COEFFICIENTS[variant];
+	if (!cs) {
+		throw new Error(`Unknown variant of CAM16-UCS: '${variant}'.`);
+	}
+	return cs;
+}
+
+
+// CAM16 -----------------------------------------------------------------------
+
+
+/**
+ * Convert CAM16 (J, C, h) to a uniform color space (J', a', b').
+ * @param {Triplet} jch J, C, h of CAM16.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Variant} variant A variant of the uniform color space.
+ * @param {ViewingConditions} vc Viewing conditions of CAM16.
+ * @return {Triplet} J', a', b' of the uniform color space.
+ */
+export function fromCam16([J, C, h]: Triplet, dest: Triplet = [0, 0, 0], variant: Variant = 'ucs', vc: ViewingConditions = DEFAULT_VIEWING_CONDITIONS): Triplet {
+	const { c1, c2 }: Coefficients = coefficientsOf(variant);
+	const M: number = C * colorfulnessFactorOf(vc);
+	const Mp: number = Math.log(1 + c2 * M) / c2;
+	const rad: number = h * DEG_RAD;
+	dest[0] = (1 + 100 * c1) * J / (1 + c1 * J);
+	dest[1] = Mp * Math.cos(rad);
+	dest[2] = Mp * Math.sin(rad);
+	return dest;
+}
+
+/**
+ * Convert a uniform color space (J', a', b') to CAM16 (J, C, h).
+ * @param {Triplet} jab J', a', b' of the uniform color space.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Variant} variant A variant of the uniform color space.
+ * @param {ViewingConditions} vc Viewing conditions of CAM16.
+ * @return {Triplet} J, C, h of CAM16.
+ */
+export function toCam16([Jp, ap, bp]: Triplet, dest: Triplet = [0, 0, 0], variant: Variant = 'ucs', vc: ViewingConditions = DEFAULT_VIEWING_CONDITIONS): Triplet {
+	const { c1, c2 }: Coefficients = coefficientsOf(variant);
+	const M: number = (Math.exp(c2 * mag(ap, bp)) - 1) / c2;
+	dest[0] = Jp / (1 - c1 * (Jp - 100));
+	dest[1] = M / colorfulnessFactorOf(vc);
+	dest[2] = atan2rad(bp, ap) * RAD_DEG;
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+for (const v of ['ucs', 'lcd', 'scd'] as Variant[]) {
+	addEdge('cam16', `cam16${v}`, (vs: Triplet, ctx?: Context): Triplet => fromCam16(vs, [0, 0, 0], v, ctx?.viewing));
+	addEdge(`cam16${v}`, 'cam16', (vs: Triplet, ctx?: Context): Triplet => toCam16(vs, [0, 0, 0], v, ctx?.viewing));
+}
@@ -0,0 +1,54 @@
+/**
+ * This class converts the HPLuv color system, which is a pastel variant of HSLuv.
+ * The saturation is relative to the maximum chroma within the sRGB gamut for the lightness regardless of the hue,
+ * so that the chroma does not depend on the hue, while saturated colors are not available.
+ * H is in [0, 360), and P and L are in [0, 100].
+ * Reference: https://www.hsluv.org/
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { addEdge } from '../graph';
+import { maxSafeChromaOf } from './hsluv';
+
+const MAX_L: number = 99.9999999;
+const MIN_L: number = 0.00000001;
+
+
+// LCh(uv) ---------------------------------------------------------------------
+
+
+/**
+ * Convert LCh(uv) to HPLuv.
+ * @param {Triplet} lch LCh(uv) color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} HPLuv color.
+ */
+export function fromLchuv([l, c, h]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] = h;
+	dest[1] = (MAX_L < l || l < MIN_L) ? 0 : (c / maxSafeChromaOf(l) * 100);
+	dest[2] = l;
+	return dest;
+}
+
+/**
+ * Convert HPLuv to LCh(uv).
+ * @param {Triplet} hpl HPLuv color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} LCh(uv) color.
+ */
+export function toLchuv([h, p, l]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] = l;
+	dest[1] = (MAX_L < l || l < MIN_L) ? 0 : (maxSafeChromaOf(l) / 100 * p);
+	dest[2] = h;
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('lchuv', 'hpluv', (vs: Triplet): Triplet => fromLchuv(vs));
+addEdge('hpluv', 'lchuv', (vs: Triplet): Triplet => toLchuv(vs));
@@ -2,10 +2,11 @@
  * This class converts the HSL color system.
  *
  * @author Takuto Yanagida
- * @version 2024-11-10
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
+import { addEdge } from '../graph';
 
 
 // RGB -------------------------------------------------------------------------
@@ -73,3 +74,10 @@ export function toRgb([h, s, l]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
 	dest[2] = Math.round((b + m) * 255);
 	return dest;
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('rgb', 'hsl', (vs: Triplet): Triplet => fromRgb(vs));
+addEdge('hsl', 'rgb', (vs: Triplet): Triplet => toRgb(vs));
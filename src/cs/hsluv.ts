@@ -0,0 +1,116 @@
+/**
+ * This class converts the HSLuv color system, which is HSL built on CIELUV.
+ * The saturation is relative to the maximum chroma within the sRGB gamut for the lightness and the hue.
+ * H is in [0, 360), and S and L are in [0, 100].
+ * Reference: https://www.hsluv.org/
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Pair, Triplet } from '../type';
+import { DEG_RAD } from '../math';
+import { addEdge } from '../graph';
+import { fromXyz as xyz2lrgb } from './lrgb';
+import { D65_UV } from './uvy';
+
+// Matrix converting XYZ to Linear RGB, whose rows are the coefficients of each channel.
+const M: Triplet[] = ((x: Triplet, y: Triplet, z: Triplet): Triplet[] => [
+	[x[0], y[0], z[0]],
+	[x[1], y[1], z[1]],
+	[x[2], y[2], z[2]],
+])(xyz2lrgb([1, 0, 0]), xyz2lrgb([0, 1, 0]), xyz2lrgb([0, 0, 1]));
+
+const KAPPA: number = Math.pow(29, 3) / Math.pow(3, 3);    // (29/3)^3
+const EPSILON: number = Math.pow(6, 3) / Math.pow(29, 3);  // (6/29)^3
+
+const MAX_L: number = 99.9999999;
+const MIN_L: number = 0.00000001;
+
+// Lines [slope, intercept] in the (u*, v*) plane bounding the sRGB gamut at the lightness,
+// where each channel of Linear RGB is 0 or 1.
+function boundsOf(l: number): Pair[] {
+	const sub: number = Math.pow(l + 16, 3) / 1560896;
+	const y: number = (sub > EPSILON) ? sub : (l / KAPPA);
+	const [un, vn]: Pair = D65_UV;
+	const ret: Pair[] = [];
+
+	for (const [m1, m2, m3] of M) {
+		for (const t of [0, 1]) {
+			const a: number = y * (9 * m1 - 3 * m3);
+			const b: number = y * (4 * m2 - 20 * m3) - 4 * t;
+			const c: number = 12 * m3 * y;
+			ret.push([-a / b, -13 * l * (a * un + b * vn + c) / b]);
+		}
+	}
+	return ret;
+}
+
+/**
+ * Calculate the maximum chroma within the sRGB gamut for the lightness and the hue.
+ * @param {number} l L* of CIELUV.
+ * @param {number} h Hue angle (degree).
+ * @return {number} The maximum chroma.
+ */
+export function maxChromaOf(l: number, h: number): number {
+	const rad: number = h * DEG_RAD;
+	let min: number = Number.MAX_VALUE;
+
+	for (const [slope, intercept] of boundsOf(l)) {
+		const len: number = intercept / (Math.sin(rad) - slope * Math.cos(rad));
+		if (0 <= len && len < min) min = len;
+	}
+	return min;
+}
+
+/**
+ * Calculate the maximum chroma within the sRGB gamut for the lightness regardless of the hue.
+ * @param {number} l L* of CIELUV.
+ * @return {number} The maximum chroma.
+ */
+export function maxSafeChromaOf(l: number): number {
+	let min: number = Number.MAX_VALUE;
+
+	for (const [slope, intercept] of boundsOf(l)) {
+		const len: number = Math.abs(intercept) / Math.sqrt(slope * slope + 1);
+		if (len < min) min = len;
+	}
+	return min;
+}
+
+
+// LCh(uv) ---------------------------------------------------------------------
+
+
+/**
+ * Convert LCh(uv) to HSLuv.
+ * @param {Triplet} lch LCh(uv) color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} HSLuv color.
+ */
+export function fromLchuv([l, c, h]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] = h;
+	dest[1] = (MAX_L < l || l < MIN_L) ? 0 : (c / maxChromaOf(l, h) * 100);
+	dest[2] = l;
+	return dest;
+}
+
+/**
+ * Convert HSLuv to LCh(uv).
+ * @param {Triplet} hsl HSLuv color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} LCh(uv) color.
+ */
+export function toLchuv([h, s, l]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] = l;
+	dest[1] = (MAX_L < l || l < MIN_L) ? 0 : (maxChromaOf(l, h) / 100 * s);
+	dest[2] = h;
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('lchuv', 'hsluv', (vs: Triplet): Triplet => fromLchuv(vs));
+addEdge('hsluv', 'lchuv', (vs: Triplet): Triplet => toLchuv(vs));
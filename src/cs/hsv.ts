@@ -0,0 +1,78 @@
+/**
+ * This class converts the HSV (HSB) color system.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { addEdge } from '../graph';
+
+
+// RGB -------------------------------------------------------------------------
+
+
+/**
+ * Convert RGB to HSV.
+ * @param {Triplet} rgb RGB color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} HSV color.
+ */
+export function fromRgb([r, g, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	r = r / 255;
+	g = g / 255;
+	b = b / 255;
+
+	const v: number = Math.max(r, g, b);
+	const c: number = v - Math.min(r, g, b);
+	const s: number = (v !== 0) ? c / v : 0;
+
+	let h: number = 0;
+	if (c !== 0) {
+		if (v === r) h = 60 * ((g - b) / c % 6);
+		if (v === g) h = 60 * ((b - r) / c + 2);
+		if (v === b) h = 60 * ((r - g) / c + 4);
+	}
+	h = (h + 360) % 360;
+
+	dest[0] = h;
+	dest[1] = s * 100;
+	dest[2] = v * 100;
+	return dest;
+}
+
+/**
+ * Convert HSV to RGB.
+ * @param {Triplet} hsv HSV color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} RGB color.
+ */
+export function toRgb([h, s, v]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	s = s / 100;
+	v = v / 100;
+	const c: number = v * s;
+
+	const hp: number = ((h % 360) + 360) % 360 / 60;
+	const x: number = c * (1 - Math.abs(hp % 2 - 1));
+
+	let r: number = 0, g: number = 0, b: number = 0;
+	if (0 <= hp && hp < 1) { r = c, g = x; }
+	if (1 <= hp && hp < 2) { r = x, g = c; }
+	if (2 <= hp && hp < 3) { g = c, b = x; }
+	if (3 <= hp && hp < 4) { g = x, b = c; }
+	if (4 <= hp && hp < 5) { r = x, b = c; }
+	if (5 <= hp && hp < 6) { r = c, b = x; }
+
+	const m: number = v - c;
+	dest[0] = Math.round((r + m) * 255);
+	dest[1] = Math.round((g + m) * 255);
+	dest[2] = Math.round((b + m) * 255);
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('rgb', 'hsv', (vs: Triplet): Triplet => fromRgb(vs));
+addEdge('hsv', 'rgb', (vs: Triplet): Triplet => toRgb(vs));
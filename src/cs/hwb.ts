@@ -2,12 +2,11 @@
  * This class converts the HWB color system.
  *
  * @author Takuto Yanagida
- * @version 2025-03-01
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
-
-import { toRgb as fromHsl } from './hsl';
+import { addEdge } from '../graph';
 
 
 // RGB -------------------------------------------------------------------------
@@ -48,16 +47,37 @@ export function fromRgb([r, g, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet
  * @return {Triplet} RGB color.
  */
 export function toRgb([h, w, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	w /= 100;
-	b /= 100;
-	if (w + b >= 1) {
-		const g: number = w / (w + b);
-		return [g, g, g];
-	}
-	fromHsl([h, 100, 50], dest);
-	for (let i: number = 0; i < 3; i++) {
-		dest[i] *= (1 - w - b);
-		dest[i] += w;
+	if (w + b >= 100) {
+		const g: number = Math.round(w / (w + b) * 255);
+		dest[0] = g;
+		dest[1] = g;
+		dest[2] = g;
+		return dest;
 	}
+	// Mix the pure hue with white and black before rounding, keeping whiteness and blackness in percent.
+	const [r, g, bl]: Triplet = pureHueOf(h);
+	dest[0] = Math.round((r  * 255 * (100 - w - b) + w * 255) / 100);
+	dest[1] = Math.round((g  * 255 * (100 - w - b) + w * 255) / 100);
+	dest[2] = Math.round((bl * 255 * (100 - w - b) + w * 255) / 100);
 	return dest;
 }
+
+// Returns the color of the hue at full saturation and 50% lightness of HSL, in [0, 1] without rounding.
+function pureHueOf(h: number): Triplet {
+	const hp: number = ((h % 360 + 360) % 360) / 60;
+	const x: number = 1 - Math.abs(hp % 2 - 1);
+
+	if (hp < 1) return [1, x, 0];
+	if (hp < 2) return [x, 1, 0];
+	if (hp < 3) return [0, 1, x];
+	if (hp < 4) return [0, x, 1];
+	if (hp < 5) return [x, 0, 1];
+	return [1, 0, x];
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('rgb', 'hwb', (vs: Triplet): Triplet => fromRgb(vs));
+addEdge('hwb', 'rgb', (vs: Triplet): Triplet => toRgb(vs));
@@ -0,0 +1,68 @@
+/**
+ * This class converts the ICtCp color system of ITU-R BT.2100, whose transfer function is PQ.
+ * The XYZ is relative (Y of the white is 1), and is scaled to absolute luminance by the luminance of the white.
+ * Reference: ITU-R BT.2100
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { SDR_WHITE_LUMINANCE } from '../const';
+import { Context } from '../context';
+import { invMat, mulMat, mulMatVec } from '../math';
+import { addEdge } from '../graph';
+import { REC2020, decodePq, encodePq, matrixOf } from './rgb-space';
+
+const RGB_LMS: Triplet[] = [
+	[1688 / 4096, 2146 / 4096,  262 / 4096],
+	[ 683 / 4096, 2951 / 4096,  462 / 4096],
+	[  99 / 4096,  309 / 4096, 3688 / 4096],
+];
+
+const LMS_ICTCP: Triplet[] = [
+	[ 2048 / 4096,   2048 / 4096,    0 / 4096],
+	[ 6610 / 4096, -13613 / 4096, 7003 / 4096],
+	[17933 / 4096, -17390 / 4096, -543 / 4096],
+];
+
+const XYZ_LMS: Triplet[] = mulMat(RGB_LMS, invMat(matrixOf(REC2020.primaries, REC2020.white)));
+const LMS_XYZ: Triplet[] = invMat(XYZ_LMS);
+const ICTCP_LMS: Triplet[] = invMat(LMS_ICTCP);
+
+
+// XYZ -------------------------------------------------------------------------
+
+
+/**
+ * Convert CIE 1931 XYZ to ICtCp.
+ * @param {Triplet} xyz XYZ color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {number} luminance Absolute luminance (cd/m²) of the white (Y = 1).
+ * @return {Triplet} ICtCp color.
+ */
+export function fromXyz(xyz: Triplet, dest: Triplet = [0, 0, 0], luminance: number = SDR_WHITE_LUMINANCE): Triplet {
+	const [l, m, s]: Triplet = mulMatVec(XYZ_LMS, xyz);
+	const lms: Triplet = [encodePq(l * luminance), encodePq(m * luminance), encodePq(s * luminance)];
+	return mulMatVec(LMS_ICTCP, lms, dest);
+}
+
+/**
+ * Convert ICtCp to CIE 1931 XYZ.
+ * @param {Triplet} itp ICtCp color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {number} luminance Absolute luminance (cd/m²) of the white (Y = 1).
+ * @return {Triplet} XYZ color.
+ */
+export function toXyz(itp: Triplet, dest: Triplet = [0, 0, 0], luminance: number = SDR_WHITE_LUMINANCE): Triplet {
+	const [l, m, s]: Triplet = mulMatVec(ICTCP_LMS, itp);
+	const lms: Triplet = [decodePq(l) / luminance, decodePq(m) / luminance, decodePq(s) / luminance];
+	return mulMatVec(LMS_XYZ, lms, dest);
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'ictcp', (vs: Triplet, ctx?: Context): Triplet => fromXyz(vs, [0, 0, 0], ctx?.luminance));
+addEdge('ictcp', 'xyz', (vs: Triplet, ctx?: Context): Triplet => toXyz(vs, [0, 0, 0], ctx?.luminance));
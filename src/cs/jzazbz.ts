@@ -0,0 +1,98 @@
+/**
+ * This class converts the Jzazbz color system, which is a uniform color space for HDR.
+ * The XYZ is relative (Y of the white is 1), and is scaled to absolute luminance by the luminance of the white.
+ * Reference: M. Safdar, G. Cui, Y. J. Kim, and M. R. Luo, Perceptually uniform color space for image signals
+ * including high dynamic range and wide gamut, Optics Express, vol.25, no.13, pp.15131-15151, 2017.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { SDR_WHITE_LUMINANCE } from '../const';
+import { Context } from '../context';
+import { addEdge } from '../graph';
+
+export { toJzazbz as fromJzczhz, fromJzazbz as toJzczhz } from './jzczhz';
+
+const B: number = 1.15;
+const G: number = 0.66;
+const D: number = -0.56;
+const D0: number = 1.6295499532821566e-11;
+
+const C1: number = 3424 / 4096;
+const C2: number = 2413 / 128;
+const C3: number = 2392 / 128;
+const N: number = 2610 / 16384;
+const P: number = 1.7 * 2523 / 32;
+
+
+// XYZ -------------------------------------------------------------------------
+
+
+/**
+ * Convert CIE 1931 XYZ to Jzazbz.
+ * @param {Triplet} xyz XYZ color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {number} luminance Absolute luminance (cd/m²) of the white (Y = 1).
+ * @return {Triplet} Jzazbz color.
+ */
+export function fromXyz([x, y, z]: Triplet, dest: Triplet = [0, 0, 0], luminance: number = SDR_WHITE_LUMINANCE): Triplet {
+	const X: number = x * luminance, Y: number = y * luminance, Z: number = z * luminance;
+	const xp: number = B * X - (B - 1) * Z;
+	const yp: number = G * Y - (G - 1) * X;
+
+	const l: number = encode( 0.41478972 * xp + 0.579999 * yp + 0.0146480 * Z);
+	const m: number = encode(-0.2015100  * xp + 1.120649 * yp + 0.0531008 * Z);
+	const s: number = encode(-0.0166008  * xp + 0.264800 * yp + 0.6684799 * Z);
+
+	const iz: number = 0.5 * l + 0.5 * m;
+	dest[0] = ((1 + D) * iz) / (1 + D * iz) - D0;            // Jz
+	dest[1] = 3.524000 * l + -4.066708 * m +  0.542708 * s;  // az
+	dest[2] = 0.199076 * l +  1.096799 * m + -1.295875 * s;  // bz
+	return dest;
+}
+
+/**
+ * Convert Jzazbz to CIE 1931 XYZ.
+ * @param {Triplet} jab Jzazbz color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {number} luminance Absolute luminance (cd/m²) of the white (Y = 1).
+ * @return {Triplet} XYZ color.
+ */
+export function toXyz([jz, az, bz]: Triplet, dest: Triplet = [0, 0, 0], luminance: number = SDR_WHITE_LUMINANCE): Triplet {
+	const iz: number = (jz + D0) / (1 + D - D * (jz + D0));
+
+	const l: number = decode(iz +  0.13860504327153927 * az +  0.058047316156118856 * bz);
+	const m: number = decode(iz + -0.13860504327153927 * az + -0.058047316156118856 * bz);
+	const s: number = decode(iz + -0.09601924202631894 * az + -0.8118918960560388 * bz);
+
+	const xp: number =  1.924226435787607   * l + -1.004792312595366   * m +  0.037651404030618014 * s;
+	const yp: number =  0.3503167620949992  * l +  0.7264811939316554  * m + -0.06538442294808504  * s;
+	const Z: number  = -0.09098281098284759 * l + -0.31272829052307405 * m +  1.5227665613052608   * s;
+
+	const X: number = (xp + (B - 1) * Z) / B;
+	const Y: number = (yp + (G - 1) * X) / G;
+	dest[0] = X / luminance;
+	dest[1] = Y / luminance;
+	dest[2] = Z / luminance;
+	return dest;
+}
+
+// The PQ curve of Jzazbz, whose exponent p differs from that of BT.2100.
+function encode(v: number): number {
+	const y: number = Math.pow(Math.max(v, 0) / 10000, N);
+	return Math.pow((C1 + C2 * y) / (1 + C3 * y), P);
+}
+
+function decode(v: number): number {
+	const e: number = Math.pow(Math.max(v, 0), 1 / P);
+	return 10000 * Math.pow(Math.max(e - C1, 0) / (C2 - C3 * e), 1 / N);
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'jzazbz', (vs: Triplet, ctx?: Context): Triplet => fromXyz(vs, [0, 0, 0], ctx?.luminance));
+addEdge('jzazbz', 'xyz', (vs: Triplet, ctx?: Context): Triplet => toXyz(vs, [0, 0, 0], ctx?.luminance));
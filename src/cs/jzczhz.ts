@@ -0,0 +1,49 @@
+/**
+ * This class converts the JzCzhz color system, which is the cylindrical representation of Jzazbz.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { DEG_RAD, RAD_DEG, atan2rad, mag } from '../math';
+import { addEdge } from '../graph';
+
+
+// Jzazbz ----------------------------------------------------------------------
+
+
+/**
+ * Convert Jzazbz to JzCzhz.
+ * @param {Triplet} jab Jzazbz color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} JzCzhz color.
+ */
+export function fromJzazbz([jz, az, bz]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const rad: number = atan2rad(bz, az);
+	dest[0] = jz;
+	dest[1] = mag(az, bz);
+	dest[2] = rad * RAD_DEG;
+	return dest;
+}
+
+/**
+ * Convert JzCzhz to Jzazbz.
+ * @param {Triplet} jch JzCzhz color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} Jzazbz color.
+ */
+export function toJzazbz([jz, cz, hz]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const rad: number = hz * DEG_RAD;
+	dest[0] = jz;
+	dest[1] = Math.cos(rad) * cz;
+	dest[2] = Math.sin(rad) * cz;
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('jzazbz', 'jzczhz', (vs: Triplet): Triplet => fromJzazbz(vs));
+addEdge('jzczhz', 'jzazbz', (vs: Triplet): Triplet => toJzazbz(vs));
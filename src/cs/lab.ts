@@ -1,14 +1,18 @@
 /**
  * This class converts the CIELAB (L*a*b*) color system.
  * By default, D65 is used as tristimulus value.
+ * Another white can be given, to which XYZ (D65) is adapted by the Bradford method.
+ * 'lab50' is the color space of CIELAB relative to D50, which CSS Color 4 lab() is based on.
  * Reference: http://en.wikipedia.org/wiki/Lab_color_space
  *
  * @author Takuto Yanagida
- * @version 2024-11-08
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
-import { D65_XYZ } from '../const';
+import { D65_XYZ, Illuminant } from '../const';
+import { addEdge } from '../graph';
+import { adapt, whitePointOf } from '../adaptation';
 
 export { toLab as fromLch, fromLab as toLch } from './lch';
 
@@ -17,11 +21,6 @@ const C1: number = Math.pow(6, 3) / Math.pow(29, 3);      // (6/29)^3 = 0.008856
 const C2: number = 3 * Math.pow(6, 2) / Math.pow(29, 2);  // 3*(6/29)^2 = 0.12841854934601664684898929845422
 const C3: number = 6 / 29;                                // 6/29 = 0.20689655172413793103448275862069
 
-/**
- * XYZ tristimulus value
- */
-const XYZ_TRISTIMULUS_VALUES: Triplet = D65_XYZ;
-
 // Conversion function
 function fn(v: number): number {
 	return (v > C1) ? Math.pow(v, 1 / 3) : (v / C2 + 4 / 29);
@@ -40,12 +39,15 @@ function ifn(v: number): number {
  * Convert CIE 1931 XYZ to CIE 1976 (L*, a*, b*).
  * @param {Triplet} xyz XYZ color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Triplet | Illuminant} white The reference white (XYZ) or the name of a standard illuminant.
  * @return {Triplet} CIELAB color.
  */
-export function fromXyz([x, y, z]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	const fx: number = fn(x / XYZ_TRISTIMULUS_VALUES[0]);
-	const fy: number = fn(y / XYZ_TRISTIMULUS_VALUES[1]);
-	const fz: number = fn(z / XYZ_TRISTIMULUS_VALUES[2]);
+export function fromXyz(xyz: Triplet, dest: Triplet = [0, 0, 0], white: Triplet | Illuminant = D65_XYZ): Triplet {
+	const w: Triplet = whitePointOf(white);
+	const [x, y, z]: Triplet = (w === D65_XYZ) ? xyz : adapt(xyz, D65_XYZ, w, 'bradford');
+	const fx: number = fn(x / w[0]);
+	const fy: number = fn(y / w[1]);
+	const fz: number = fn(z / w[2]);
 	dest[0] = 116 * fy - 16;
 	dest[1] = 500 * (fx - fy);
 	dest[2] = 200 * (fy - fz);
@@ -56,16 +58,18 @@ export function fromXyz([x, y, z]: Triplet, dest: Triplet = [0, 0, 0]): Triplet
  * Convert CIE 1976 (L*, a*, b*) to CIE 1931 XYZ.
  * @param {Triplet} lab L*, a*, b* of CIELAB color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Triplet | Illuminant} white The reference white (XYZ) or the name of a standard illuminant.
  * @return {Triplet} XYZ color.
  */
-export function toXyz([ls, as, bs]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function toXyz([ls, as, bs]: Triplet, dest: Triplet = [0, 0, 0], white: Triplet | Illuminant = D65_XYZ): Triplet {
+	const w: Triplet = whitePointOf(white);
 	const fy: number = (ls + 16) / 116;
 	const fx: number = fy + as / 500;
 	const fz: number = fy - bs / 200;
-	dest[0] = ifn(fx) * XYZ_TRISTIMULUS_VALUES[0];
-	dest[1] = ifn(fy) * XYZ_TRISTIMULUS_VALUES[1];
-	dest[2] = ifn(fz) * XYZ_TRISTIMULUS_VALUES[2];
-	return dest;
+	dest[0] = ifn(fx) * w[0];
+	dest[1] = ifn(fy) * w[1];
+	dest[2] = ifn(fz) * w[2];
+	return (w === D65_XYZ) ? dest : adapt(dest, w, D65_XYZ, 'bradford', dest);
 }
 
 /**
@@ -74,6 +78,15 @@ export function toXyz([ls, as, bs]: Triplet, dest: Triplet = [0, 0, 0]): Triplet
  * @return {number} L*
  */
 export function lightnessFromXyz([, y,]: Triplet): number {
-	const fy: number = fn(y / XYZ_TRISTIMULUS_VALUES[1]);
+	const fy: number = fn(y / D65_XYZ[1]);
 	return 116 * fy - 16;
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'lab', (vs: Triplet): Triplet => fromXyz(vs));
+addEdge('lab', 'xyz', (vs: Triplet): Triplet => toXyz(vs));
+addEdge('xyz', 'lab50', (xyz: Triplet): Triplet => fromXyz(xyz, [0, 0, 0], 'D50'));
+addEdge('lab50', 'xyz', (lab: Triplet): Triplet => toXyz(lab, [0, 0, 0], 'D50'));
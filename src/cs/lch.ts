@@ -2,11 +2,12 @@
  * This class converts the LCh color system.
  *
  * @author Takuto Yanagida
- * @version 2024-11-10
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
 import { DEG_RAD, RAD_DEG, atan2rad, mag } from '../math';
+import { addEdge } from '../graph';
 
 
 // Lab -------------------------------------------------------------------------
@@ -39,3 +40,12 @@ export function toLab([ls, cs, h]: Triplet, dest: Triplet = [0, 0, 0]): Triplet
 	dest[2] = Math.sin(rad) * cs;
 	return dest;
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('lab', 'lch', (vs: Triplet): Triplet => fromLab(vs));
+addEdge('lch', 'lab', (vs: Triplet): Triplet => toLab(vs));
+addEdge('lab50', 'lch50', (vs: Triplet): Triplet => fromLab(vs));
+addEdge('lch50', 'lab50', (vs: Triplet): Triplet => toLab(vs));
@@ -0,0 +1,49 @@
+/**
+ * This class converts the LCh(uv) color system, which is the cylindrical representation of CIELUV.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { DEG_RAD, RAD_DEG, atan2rad, mag } from '../math';
+import { addEdge } from '../graph';
+
+
+// Luv -------------------------------------------------------------------------
+
+
+/**
+ * Convert CIELUV (L*u*v*) to LCh(uv).
+ * @param {Triplet} luv L*, u*, v* of CIELUV color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} LCh(uv) color.
+ */
+export function fromLuv([ls, us, vs]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const rad: number = atan2rad(vs, us);
+	dest[0] = ls;
+	dest[1] = mag(us, vs);
+	dest[2] = rad * RAD_DEG;
+	return dest;
+}
+
+/**
+ * Convert LCh(uv) to CIELUV (L*u*v*).
+ * @param {Triplet} lch LCh(uv) color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} L*, u*, v* of CIELUV color.
+ */
+export function toLuv([ls, cs, h]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const rad: number = h * DEG_RAD;
+	dest[0] = ls;
+	dest[1] = Math.cos(rad) * cs;
+	dest[2] = Math.sin(rad) * cs;
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('luv', 'lchuv', (vs: Triplet): Triplet => fromLuv(vs));
+addEdge('lchuv', 'luv', (vs: Triplet): Triplet => toLuv(vs));
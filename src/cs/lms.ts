@@ -2,10 +2,12 @@
  * This class converts the LMS color system.
  *
  * @author Takuto Yanagida
- * @version 2024-11-10
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
+import { Context, LmsMethod } from '../context';
+import { addEdge } from '../graph';
 
 /*
  * Reference: F. Vienot, H. Brettel, and J.D. Mollon,
@@ -54,11 +56,15 @@ export const ConversionMethod = Object.freeze({
 	VON_KRIES: { direct: VON_KRIES, inverse: VON_KRIES_INV },
 });
 
-export function setConversionMethod(cm: { direct: Triplet[]; inverse: Triplet[] }) {
+/**
+ * Set the default conversion method, which is used when a context does not specify 'lms'.
+ * @param {LmsMethod} cm A conversion method.
+ */
+export function setConversionMethod(cm: LmsMethod): void {
 	conversionMethod = cm;
 }
 
-let conversionMethod: { direct: Triplet[], inverse: Triplet[] } = ConversionMethod.SMITH_POKORNY;
+let conversionMethod: LmsMethod = ConversionMethod.SMITH_POKORNY;
 
 
 // XYZ -------------------------------------------------------------------------
@@ -68,10 +74,11 @@ let conversionMethod: { direct: Triplet[], inverse: Triplet[] } = ConversionMeth
  * Convert CIE 1931 XYZ to LMS.
  * @param {Triplet} xyz XYZ color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'lms' specifies the conversion method.
  * @return {Triplet} LMS color.
  */
-export function fromXyz([x, y, z]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	const cm: Triplet[] = conversionMethod.direct;
+export function fromXyz([x, y, z]: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
+	const cm: Triplet[] = (ctx.lms ?? conversionMethod).direct;
 	dest[0] = cm[0][0] * x + cm[0][1] * y + cm[0][2] * z;
 	dest[1] = cm[1][0] * x + cm[1][1] * y + cm[1][2] * z;
 	dest[2] = cm[2][0] * x + cm[2][1] * y + cm[2][2] * z;
@@ -82,12 +89,20 @@ export function fromXyz([x, y, z]: Triplet, dest: Triplet = [0, 0, 0]): Triplet
  * Convert LMS to CIE 1931 XYZ.
  * @param {Triplet} lms LMS color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'lms' specifies the conversion method.
  * @return {Triplet} XYZ color.
  */
-export function toXyz([l, m, s]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	const cm: Triplet[] = conversionMethod.inverse;
+export function toXyz([l, m, s]: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
+	const cm: Triplet[] = (ctx.lms ?? conversionMethod).inverse;
 	dest[0] = cm[0][0] * l + cm[0][1] * m + cm[0][2] * s;
 	dest[1] = cm[1][0] * l + cm[1][1] * m + cm[1][2] * s;
 	dest[2] = cm[2][0] * l + cm[2][1] * m + cm[2][2] * s;
 	return dest;
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'lms', (vs: Triplet, ctx?: Context): Triplet => fromXyz(vs, [0, 0, 0], ctx));
+addEdge('lms', 'xyz', (vs: Triplet, ctx?: Context): Triplet => toXyz(vs, [0, 0, 0], ctx));
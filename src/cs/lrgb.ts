@@ -4,13 +4,15 @@
  * Reference: http://www.brucelindbloom.com/index.html?Eqn_RGB_XYZ_Matrix.html
  *
  * @author Takuto Yanagida
- * @version 2024-11-08
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
+import { addEdge } from '../graph';
 
 export { toLrgb as fromRgb, fromLrgb as toRgb } from './rgb';
 export { toLrgb as fromYiq, fromLrgb as toYiq } from './yiq';
+export { toLrgb as fromOklab, fromLrgb as toOklab } from './oklab';
 
 
 // XYZ -------------------------------------------------------------------------
@@ -41,3 +43,10 @@ export function toXyz([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0]): Triplet
 	dest[2] = 0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb;
 	return dest;
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'lrgb', (vs: Triplet): Triplet => fromXyz(vs));
+addEdge('lrgb', 'xyz', (vs: Triplet): Triplet => toXyz(vs));
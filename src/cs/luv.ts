@@ -0,0 +1,65 @@
+/**
+ * This class converts the CIELUV (L*u*v*) color system.
+ * D65 is used as tristimulus value.
+ * Reference: https://en.wikipedia.org/wiki/CIELUV
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { D65_XYZ } from '../const';
+import { addEdge } from '../graph';
+import { D65_UV, fromXyz as xyz2uvy, toXyz as uvy2xyz } from './uvy';
+
+export { toLuv as fromLchuv, fromLuv as toLchuv } from './lchuv';
+
+// Constants for simplification of calculation
+const E: number = Math.pow(6, 3) / Math.pow(29, 3);  // (6/29)^3
+const K: number = Math.pow(29, 3) / Math.pow(3, 3);  // (29/3)^3
+
+
+// XYZ -------------------------------------------------------------------------
+
+
+/**
+ * Convert CIE 1931 XYZ to CIE 1976 (L*, u*, v*).
+ * @param {Triplet} xyz XYZ color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} CIELUV color.
+ */
+export function fromXyz(xyz: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const yr: number = xyz[1] / D65_XYZ[1];
+	const ls: number = (yr > E) ? (116 * Math.cbrt(yr) - 16) : (K * yr);
+	const [u, v]: Triplet = xyz2uvy(xyz);
+	dest[0] = ls;
+	dest[1] = 13 * ls * (u - D65_UV[0]);
+	dest[2] = 13 * ls * (v - D65_UV[1]);
+	return dest;
+}
+
+/**
+ * Convert CIE 1976 (L*, u*, v*) to CIE 1931 XYZ.
+ * @param {Triplet} luv L*, u*, v* of CIELUV color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} XYZ color.
+ */
+export function toXyz([ls, us, vs]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	if (ls <= 0) {
+		dest[0] = 0;
+		dest[1] = 0;
+		dest[2] = 0;
+		return dest;
+	}
+	const y: number = ((ls > K * E) ? Math.pow((ls + 16) / 116, 3) : (ls / K)) * D65_XYZ[1];
+	const u: number = us / (13 * ls) + D65_UV[0];
+	const v: number = vs / (13 * ls) + D65_UV[1];
+	return uvy2xyz([u, v, y], dest);
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'luv', (vs: Triplet): Triplet => fromXyz(vs));
+addEdge('luv', 'xyz', (vs: Triplet): Triplet => toXyz(vs));
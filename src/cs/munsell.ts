@@ -6,12 +6,14 @@
  * Reference: https://www.rit.edu/science/munsell-color-science-lab-educational-resources#munsell-renotation-data
  *
  * @author Takuto Yanagida
- * @version 2024-11-08
+ * @version 2026-10-19
  */
 
 import { TBL_SRC_MIN, TBL_V } from '../table/hc2xy-all-min';
 import { Tree } from '../lib/kdt';
 import { Pair, Triplet } from '../type';
+import { Context, Saturation } from '../context';
+import { addEdge } from '../graph';
 
 import { toIlluminantC as xyz2c,  fromIlluminantC as c2xyz } from './xyz';
 import { fromXyz as xyz2xyy, toXyz as xyy2xyz }  from './xyy';
@@ -58,6 +60,10 @@ export const MIN_HUE = 0;
 export const MAX_HUE = 100;  // Same as MIN_HUE
 export const MONO_LIMIT_C = 0.05;
 
+/**
+ * Whether the last conversion without a saturation report was saturated.
+ * @deprecated Pass a context with 'saturation' to fromXyz() or toXyz() instead.
+ */
 export let isSaturated: boolean = false;
 
 initTable(TBL_V, TBL_SRC_MIN);
@@ -148,13 +154,13 @@ function y2v(y: number): number {
 
 
 // Find the Munsell value from xyY (standard illuminant C).
-function xyy2mun([sx, sy, y]: Triplet): Triplet {
+function xyy2mun([sx, sy, y]: Triplet, sat: Saturation): Triplet {
 	const v: number = y2v(y);  // Find Munsell lightness
-	isSaturated = false;
+	sat.munsell = false;
 
 	// When the lightness is maximum 10
 	if (eq(v, TBL_V.at(-1) as number)) {
-		const [h, c] = scanHC(sx, sy, TBL_V.length - 1);
+		const [h, c] = scanHC(sx, sy, TBL_V.length - 1, sat);
 		return [h, v, c];
 	}
 	// When the lightness is 0 or the lightness is larger than the maximum 10, or when it is an achromatic color (standard illuminant C)
@@ -165,11 +171,11 @@ function xyy2mun([sx, sy, y]: Triplet): Triplet {
 	let vi_l: number = -1;
 	while (TBL_V[vi_l + 1] <= v) ++vi_l;
 	let hc_l: Pair = [0, 0] as Pair;  // Hue and chroma of the lower side
-	if (vi_l !== -1) hc_l = scanHC(sx, sy, vi_l);
+	if (vi_l !== -1) hc_l = scanHC(sx, sy, vi_l, sat);
 
 	// Obtain upper side
 	const vi_u: number = vi_l + 1;
-	const hc_u: Pair = scanHC(sx, sy, vi_u);
+	const hc_u: Pair = scanHC(sx, sy, vi_u, sat);
 
 	// When the lightness on the lower side is the minimum 0, the hue is matched with the upper side, and the chroma is set to 0
 	if (vi_l === -1) {
@@ -186,7 +192,7 @@ function xyy2mun([sx, sy, y]: Triplet): Triplet {
 
 // Acquires the hue and chroma for the chromaticity coordinates (x, y) on the surface of the given lightness index.
 // If not included, -1 is returned.
-function scanHC(x: number, y: number, vi: number): Pair {
+function scanHC(x: number, y: number, vi: number, sat: Saturation): Pair {
 	const p = [x, y] as Pair;
 	const [[q, ],] = TBL_TREES[vi].neighbors(p, 1);
 	let ht0: number = q[0] - 125;
@@ -212,7 +218,7 @@ function scanHC(x: number, y: number, vi: number): Pair {
 	}
 	const ps: [Pair, number][] = TBL_TREES[vi].neighbors(p, 2);
 	if (2 === ps.length) {
-		isSaturated = true;
+		sat.munsell = true;
 		let [[[ht0, c0], d0], [[ht1, c1], d1]] = ps;
 		const r: number = d0 / (d0 + d1);
 		return calcIdpHc([ht0 / 10, c0], [ht1 / 10, c1], r);
@@ -315,21 +321,21 @@ function calcIdpHc([h0, c0]: Pair, [h1, c1]: Pair, r: number): Pair {
 // -----------------------------------------------------------------------------
 
 
-function mun2xyy([h, v, c]: Triplet): Triplet {
+function mun2xyy([h, v, c]: Triplet, sat: Saturation): Triplet {
 	if (MAX_HUE <= h) h -= MAX_HUE;
 	const Y: number = v2y(v);
-	isSaturated = false;
+	sat.munsell = false;
 
 	// When the lightness is 0 or achromatic (check this first)
 	if (eq0(v) || h < 0 || c < MONO_LIMIT_C) {
-		isSaturated = eq0(v) && 0 < c;
+		sat.munsell = eq0(v) && 0 < c;
 		return [...ILLUMINANT_C, Y];
 	}
 	// When the lightness is the maximum value 10 or more
 	const v_max = TBL_V.at(-1) as number;
 	if (v_max <= v) {
 		const xy: [number, number, boolean] = scanXY(h, c, TBL_V.length - 1);
-		isSaturated = (v_max < v);
+		sat.munsell = (v_max < v);
 		return [xy[0], xy[1], Y];
 	}
 	let vi_l: number = -1;
@@ -342,7 +348,7 @@ function mun2xyy([h, v, c]: Triplet): Triplet {
 		xy_l = scanXY(h, c, vi_l);
 	} else {  // When the lightness of the lower side is the minimum 0, use standard illuminant.
 		xy_l = [...ILLUMINANT_C, false];
-		isSaturated = true;
+		sat.munsell = true;
 	}
 	// Obtain upper side
 	const xy_u: [number, number, boolean] = scanXY(h, c, vi_u);
@@ -352,12 +358,12 @@ function mun2xyy([h, v, c]: Triplet): Triplet {
 	const r: number = (v - v_l) / (v_u - v_l);
 
 	if (!xy_l[2] && !xy_u[2]) {
-		isSaturated = true;
+		sat.munsell = true;
 	} else if (!xy_l[2] || !xy_u[2]) {
 		if (r < 0.5) {
-			if (!xy_l[2]) isSaturated = true;
+			if (!xy_l[2]) sat.munsell = true;
 		} else {
-			if (!xy_u[2]) isSaturated = true;
+			if (!xy_u[2]) sat.munsell = true;
 		}
 	}
 	const xy: Pair = div(xy_l as unknown as Pair, xy_u as unknown as Pair, r);
@@ -463,10 +469,13 @@ function scanXY(h: number, c: number, vi: number): [number, number, boolean] {
  * Convert CIE 1931 XYZ to Munsell (HVC).
  * @param {Triplet} xyz XYZ color (standard illuminant D65).
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context where whether the color is saturated is reported as 'saturation.munsell'.
  * @return {Triplet} Munsell color.
  */
-export function fromXyz(xyz: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	const r: Triplet = xyy2mun(xyz2xyy(xyz2c(xyz, dest), dest));
+export function fromXyz(xyz: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
+	const sat: Saturation = { munsell: false };
+	const r: Triplet = xyy2mun(xyz2xyy(xyz2c(xyz, dest), dest), sat);
+	report(sat, ctx);
 	dest[0] = r[0];
 	dest[1] = r[1];
 	dest[2] = r[2];
@@ -477,10 +486,22 @@ export function fromXyz(xyz: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
  * Convert Munsell (HVC) to CIE 1931 XYZ.
  * @param {Triplet} hvc Hue, value, chroma of Munsell color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context where whether the color is saturated is reported as 'saturation.munsell'.
  * @return {Triplet} XYZ color.
  */
-export function toXyz([h, v, c]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	return c2xyz(xyy2xyz(mun2xyy([h, v, c]), dest), dest);
+export function toXyz([h, v, c]: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
+	const sat: Saturation = { munsell: false };
+	const xyy: Triplet = mun2xyy([h, v, c], sat);
+	report(sat, ctx);
+	return c2xyz(xyy2xyz(xyy, dest), dest);
+}
+
+function report(sat: Saturation, ctx: Context): void {
+	if (ctx.saturation) {
+		ctx.saturation.munsell = sat.munsell;
+	} else {
+		isSaturated = sat.munsell as boolean;
+	}
 }
 
 
@@ -540,3 +561,10 @@ export function toString([h, v, c]: Triplet): string {
 		return `${hue} ${str_v}/${str_c}`;
 	}
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'munsell', (vs: Triplet, ctx?: Context): Triplet => fromXyz(vs, [0, 0, 0], ctx));
+addEdge('munsell', 'xyz', (vs: Triplet, ctx?: Context): Triplet => toXyz(vs, [0, 0, 0], ctx));
@@ -0,0 +1,55 @@
+/**
+ * This class converts the OKLab color system.
+ * Reference: https://bottosson.github.io/posts/oklab/
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { addEdge } from '../graph';
+
+export { toOklab as fromOklch, fromOklab as toOklch } from './oklch';
+
+
+// LRGB ------------------------------------------------------------------------
+
+
+/**
+ * Convert Linear RGB to OKLab.
+ * @param {Triplet} lrgb Linear RGB color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} OKLab color.
+ */
+export function fromLrgb([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const l: number = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+	const m: number = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+	const s: number = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+	dest[0] = 0.2104542553 * l +  0.7936177850 * m + -0.0040720468 * s;  // L[0, 1]
+	dest[1] = 1.9779984951 * l + -2.4285922050 * m +  0.4505937099 * s;  // a
+	dest[2] = 0.0259040371 * l +  0.7827717662 * m + -0.8086757660 * s;  // b
+	return dest;
+}
+
+/**
+ * Convert OKLab to Linear RGB.
+ * @param {Triplet} lab L, a, b of OKLab color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} Linear RGB color.
+ */
+export function toLrgb([L, a, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const l: number = Math.pow(L +  0.3963377774 * a +  0.2158037573 * b, 3);
+	const m: number = Math.pow(L + -0.1055613458 * a + -0.0638541728 * b, 3);
+	const s: number = Math.pow(L + -0.0894841775 * a + -1.2914855480 * b, 3);
+	dest[0] =  4.0767416621 * l + -3.3077115913 * m +  0.2309699292 * s;
+	dest[1] = -1.2684380046 * l +  2.6097574011 * m + -0.3413193965 * s;
+	dest[2] = -0.0041960863 * l + -0.7034186147 * m +  1.7076147010 * s;
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('lrgb', 'oklab', (vs: Triplet): Triplet => fromLrgb(vs));
+addEdge('oklab', 'lrgb', (vs: Triplet): Triplet => toLrgb(vs));
@@ -0,0 +1,49 @@
+/**
+ * This class converts the OKLCh color system.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { DEG_RAD, RAD_DEG, atan2rad, mag } from '../math';
+import { addEdge } from '../graph';
+
+
+// OKLab -----------------------------------------------------------------------
+
+
+/**
+ * Convert OKLab to OKLCh.
+ * @param {Triplet} lab L, a, b of OKLab color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} OKLCh color.
+ */
+export function fromOklab([L, a, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const rad: number = atan2rad(b, a);
+	dest[0] = L;
+	dest[1] = mag(a, b);
+	dest[2] = rad * RAD_DEG;
+	return dest;
+}
+
+/**
+ * Convert OKLCh to OKLab.
+ * @param {Triplet} lch OKLCh color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} L, a, b of OKLab color.
+ */
+export function toOklab([L, C, h]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const rad: number = h * DEG_RAD;
+	dest[0] = L;
+	dest[1] = Math.cos(rad) * C;
+	dest[2] = Math.sin(rad) * C;
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('oklab', 'oklch', (vs: Triplet): Triplet => fromOklab(vs));
+addEdge('oklch', 'oklab', (vs: Triplet): Triplet => toOklab(vs));
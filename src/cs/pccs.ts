@@ -6,11 +6,13 @@
  * Journal of the Color Science Association of Japan 25(4), 249-261, 2001.
  *
  * @author Takuto Yanagida
- * @version 2024-11-08
+ * @version 2026-10-19
  */
 
 import { Triplet, Quartet } from '../type';
 import { PI2 } from '../math';
+import { Context, PccsMethod } from '../context';
+import { addEdge } from '../graph';
 
 import * as Munsell from './munsell';
 
@@ -51,7 +53,7 @@ export const ConversionMethod = Object.freeze({
 	 */
 	Concise: {
 		calcMunsellH: simplyCalcMunsellH,
-		calcMunsellS: simplyCalcMunsellC,
+		calcMunsellC: simplyCalcMunsellC,
 		calcPccsH: simplyCalcPccsH,
 		calcPccsS: simplyCalcPccsS,
 	},
@@ -67,14 +69,18 @@ export const ConversionMethod = Object.freeze({
 	}
 });
 
-export function setConversionMethod(cm: { calcMunsellH: (h: number) => number; calcMunsellC: (h: number, l: number, s: number) => number; calcPccsH: (h: number) => number; calcPccsS: (V: number, C: number, h: number) => number } ) {
+/**
+ * Set the default conversion method, which is used when a context does not specify 'pccs'.
+ * @param {PccsMethod} cm A conversion method.
+ */
+export function setConversionMethod(cm: PccsMethod): void {
 	conversionMethod = cm;
 }
 
 /**
- * Indicates the currently selected color vision characteristic conversion method.
+ * Indicates the default conversion method.
  */
-export let conversionMethod = ConversionMethod.Accurate;
+export let conversionMethod: PccsMethod = ConversionMethod.Accurate;
 
 /**
  * Enum type for Tone.
@@ -211,16 +217,18 @@ function simplyCalcMunsellC(h: number, l: number, s: number): number {
  * Convert Munsell (HVC) to PCCS (hls).
  * @param {Triplet} hvc Hue, value, chroma of Munsell color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'pccs' specifies the conversion method.
  * @return {Triplet} PCCS color.
  */
-export function fromMunsell([H, V, C]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function fromMunsell([H, V, C]: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
+	const cm: PccsMethod = ctx.pccs ?? conversionMethod;
 	let h: number = 0;
 	let s: number = 0;
 
 	if (Munsell.MAX_HUE <= H) H -= Munsell.MAX_HUE;
-	h = conversionMethod.calcPccsH(H);
+	h = cm.calcPccsH(H);
 	if (Munsell.MONO_LIMIT_C <= C) {
-		s = conversionMethod.calcPccsS(V, C, h);
+		s = cm.calcPccsS(V, C, h);
 	}
 	if (MAX_HUE <= h) h -= MAX_HUE;
 
@@ -234,15 +242,17 @@ export function fromMunsell([H, V, C]: Triplet, dest: Triplet = [0, 0, 0]): Trip
  * Convert PCCS (hls) to Munsell (HVC).
  * @param {Triplet} hls Hue, lightness, saturation of PCCS color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'pccs' specifies the conversion method.
  * @return {Triplet} Munsell color.
  */
-export function toMunsell([h, l, s]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function toMunsell([h, l, s]: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
+	const cm: PccsMethod = ctx.pccs ?? conversionMethod;
 	let H: number = 0;
 	let C: number = 0;
 
-	H = conversionMethod.calcMunsellH(h);
+	H = cm.calcMunsellH(h);
 	if (MONO_LIMIT_S <= s) {
-		C = conversionMethod.calcMunsellC(h, l, s);
+		C = cm.calcMunsellC(h, l, s);
 	}
 	if (H < 0) H += Munsell.MAX_HUE;
 	if (Munsell.MAX_HUE <= H) H -= Munsell.MAX_HUE;
@@ -391,3 +401,12 @@ export function toToneString(hls: Triplet): string {
 		return TONE_NAMES[tone(hls)];
 	}
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('munsell', 'pccs', (vs: Triplet, ctx?: Context): Triplet => fromMunsell(vs, [0, 0, 0], ctx));
+addEdge('pccs', 'munsell', (vs: Triplet, ctx?: Context): Triplet => toMunsell(vs, [0, 0, 0], ctx));
+addEdge('pccs', 'tone', (vs: Triplet): Triplet => toToneCoordinate(vs));
+addEdge('tone', 'pccs', (vs: Triplet): Triplet => toNormalCoordinate(vs));
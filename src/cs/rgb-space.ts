@@ -0,0 +1,313 @@
+/**
+ * This class converts RGB color systems defined by primaries, a white point and a transfer function.
+ * Colors are encoded RGB in the range [0, 1], which is not clamped so that out-of-gamut colors are kept.
+ * The names of the built-in color spaces follow CSS Color 4 color().
+ * Reference: http://www.brucelindbloom.com/index.html?Eqn_RGB_XYZ_Matrix.html
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Pair, Triplet } from '../type';
+import { D65_XYZ, Illuminant, SDR_WHITE_LUMINANCE } from '../const';
+import { Context } from '../context';
+import { mulMat, mulMatVec, invMat } from '../math';
+import { getMatrix, whitePointOf } from '../adaptation';
+import { addEdge, hasSpace } from '../graph';
+
+/**
+ * Transfer function (tone response curve) of an RGB color system.
+ * The context of the conversion is passed as the second argument.
+ */
+export type Trc = {
+	toLinear: (v: number, ctx?: Context) => number;
+	fromLinear: (v: number, ctx?: Context) => number;
+};
+
+/**
+ * Definition of an RGB color system.
+ */
+export type RgbSpaceDefinition = {
+	name: string;
+	primaries: [Pair, Pair, Pair];
+	white: Triplet | Illuminant;
+	trc: Trc;
+};
+
+/**
+ * Transfer function of sRGB, also used by Display P3.
+ */
+export const SRGB_TRC: Trc = Object.freeze({
+	toLinear  : signed((v: number): number => (v <= 0.04045) ? (v / 12.92) : Math.pow((v + 0.055) / 1.055, 2.4)),
+	fromLinear: signed((v: number): number => (v <= 0.0031308) ? (v * 12.92) : (Math.pow(v, 1 / 2.4) * 1.055 - 0.055)),
+});
+
+const REC2020_A: number = 1.09929682680944;
+const REC2020_B: number = 0.018053968510807;
+
+/**
+ * Transfer function of Rec. 2020.
+ */
+export const REC2020_TRC: Trc = Object.freeze({
+	toLinear  : signed((v: number): number => (v < REC2020_B * 4.5) ? (v / 4.5) : Math.pow((v + REC2020_A - 1) / REC2020_A, 1 / 0.45)),
+	fromLinear: signed((v: number): number => (v < REC2020_B) ? (v * 4.5) : (REC2020_A * Math.pow(v, 0.45) - (REC2020_A - 1))),
+});
+
+/**
+ * Transfer function of ProPhoto RGB.
+ */
+export const PROPHOTO_TRC: Trc = Object.freeze({
+	toLinear  : signed((v: number): number => (v <= 16 / 512) ? (v / 16) : Math.pow(v, 1.8)),
+	fromLinear: signed((v: number): number => (v < 1 / 512) ? (v * 16) : Math.pow(v, 1 / 1.8)),
+});
+
+/**
+ * Create a transfer function of a simple power law.
+ * @param {number} gamma Gamma.
+ * @return {Trc} Transfer function.
+ */
+export function gammaTrc(gamma: number): Trc {
+	return Object.freeze({
+		toLinear  : signed((v: number): number => Math.pow(v, gamma)),
+		fromLinear: signed((v: number): number => Math.pow(v, 1 / gamma)),
+	});
+}
+
+
+
+// PQ and HLG ------------------------------------------------------------------
+
+
+const PQ_M1: number = 2610 / 16384;
+const PQ_M2: number = 2523 / 4096 * 128;
+const PQ_C1: number = 3424 / 4096;
+const PQ_C2: number = 2413 / 4096 * 32;
+const PQ_C3: number = 2392 / 4096 * 32;
+
+/**
+ * The peak luminance (cd/m²) of PQ.
+ */
+export const PQ_PEAK_LUMINANCE: number = 10000;
+
+/**
+ * Encode absolute luminance by the inverse EOTF of PQ (SMPTE ST 2084).
+ * Reference: ITU-R BT.2100
+ * @param {number} luminance Absolute luminance [0, 10000] (cd/m²).
+ * @return {number} Signal [0, 1].
+ */
+export function encodePq(luminance: number): number {
+	const y: number = Math.pow(Math.max(luminance, 0) / PQ_PEAK_LUMINANCE, PQ_M1);
+	return Math.pow((PQ_C1 + PQ_C2 * y) / (1 + PQ_C3 * y), PQ_M2);
+}
+
+/**
+ * Decode a signal by the EOTF of PQ (SMPTE ST 2084).
+ * Reference: ITU-R BT.2100
+ * @param {number} signal Signal [0, 1].
+ * @return {number} Absolute luminance [0, 10000] (cd/m²).
+ */
+export function decodePq(signal: number): number {
+	const e: number = Math.pow(Math.max(signal, 0), 1 / PQ_M2);
+	return PQ_PEAK_LUMINANCE * Math.pow(Math.max(e - PQ_C1, 0) / (PQ_C2 - PQ_C3 * e), 1 / PQ_M1);
+}
+
+const HLG_A: number = 0.17883277;
+const HLG_B: number = 1 - 4 * HLG_A;
+const HLG_C: number = 0.5 - HLG_A * Math.log(4 * HLG_A);
+
+/**
+ * Encode scene light by the OETF of HLG.
+ * Reference: ITU-R BT.2100
+ * @param {number} v Normalized scene light [0, 1].
+ * @return {number} Signal [0, 1].
+ */
+export function encodeHlg(v: number): number {
+	return (v <= 1 / 12) ? Math.sqrt(3 * Math.max(v, 0)) : (HLG_A * Math.log(12 * v - HLG_B) + HLG_C);
+}
+
+/**
+ * Decode a signal by the inverse OETF of HLG.
+ * Reference: ITU-R BT.2100
+ * @param {number} signal Signal [0, 1].
+ * @return {number} Normalized scene light [0, 1].
+ */
+export function decodeHlg(signal: number): number {
+	return (signal <= 0.5) ? (Math.max(signal, 0) ** 2 / 3) : ((Math.exp((signal - HLG_C) / HLG_A) + HLG_B) / 12);
+}
+
+/**
+ * Create a transfer function of PQ, where the linear value 1 is the luminance of the white.
+ * @param {number} whiteLuminance Absolute luminance (cd/m²) of the white. If omitted, the luminance of the context is used (SDR_WHITE_LUMINANCE by default).
+ * @return {Trc} Transfer function.
+ */
+export function pqTrc(whiteLuminance?: number): Trc {
+	const lumOf = (ctx?: Context): number => whiteLuminance ?? ctx?.luminance ?? SDR_WHITE_LUMINANCE;
+	return Object.freeze({
+		toLinear  : signed((v: number, ctx?: Context): number => decodePq(v) / lumOf(ctx)),
+		fromLinear: signed((v: number, ctx?: Context): number => encodePq(v * lumOf(ctx))),
+	});
+}
+
+const HLG_REFERENCE_WHITE: number = decodeHlg(0.75);
+
+/**
+ * Transfer function of HLG, where the linear value 1 is the scene light of the reference white (75% signal).
+ */
+export const HLG_TRC: Trc = Object.freeze({
+	toLinear  : signed((v: number): number => decodeHlg(v) / HLG_REFERENCE_WHITE),
+	fromLinear: signed((v: number): number => encodeHlg(v * HLG_REFERENCE_WHITE)),
+});
+
+
+// -----------------------------------------------------------------------------
+
+
+// Extend a transfer function to negative values symmetrically.
+function signed(f: (v: number, ctx?: Context) => number): (v: number, ctx?: Context) => number {
+	return (v: number, ctx?: Context): number => (v < 0) ? -f(-v, ctx) : f(v, ctx);
+}
+
+export const DISPLAY_P3: RgbSpaceDefinition = Object.freeze<RgbSpaceDefinition>({
+	name     : 'display-p3',
+	primaries: [[0.680, 0.320], [0.265, 0.690], [0.150, 0.060]],
+	white    : 'D65',
+	trc      : SRGB_TRC,
+});
+
+export const REC2020: RgbSpaceDefinition = Object.freeze<RgbSpaceDefinition>({
+	name     : 'rec2020',
+	primaries: [[0.708, 0.292], [0.170, 0.797], [0.131, 0.046]],
+	white    : 'D65',
+	trc      : REC2020_TRC,
+});
+
+export const REC2100_PQ: RgbSpaceDefinition = Object.freeze<RgbSpaceDefinition>({
+	name     : 'rec2100-pq',
+	primaries: REC2020.primaries,
+	white    : 'D65',
+	trc      : pqTrc(),
+});
+
+export const REC2100_HLG: RgbSpaceDefinition = Object.freeze<RgbSpaceDefinition>({
+	name     : 'rec2100-hlg',
+	primaries: REC2020.primaries,
+	white    : 'D65',
+	trc      : HLG_TRC,
+});
+
+export const ADOBE_RGB: RgbSpaceDefinition = Object.freeze<RgbSpaceDefinition>({
+	name     : 'a98-rgb',
+	primaries: [[0.640, 0.330], [0.210, 0.710], [0.150, 0.060]],
+	white    : 'D65',
+	trc      : gammaTrc(563 / 256),
+});
+
+export const PROPHOTO_RGB: RgbSpaceDefinition = Object.freeze<RgbSpaceDefinition>({
+	name     : 'prophoto-rgb',
+	primaries: [[0.734699, 0.265301], [0.159597, 0.840403], [0.036598, 0.000105]],
+	white    : 'D50',
+	trc      : PROPHOTO_TRC,
+});
+
+type Matrices = { toXyz: Triplet[], fromXyz: Triplet[] };
+
+const MATRICES: WeakMap<RgbSpaceDefinition, Matrices> = new WeakMap();
+const NAMES: Set<string> = new Set();
+
+/**
+ * Calculate the matrix converting linear RGB to CIE 1931 XYZ under the white point of the color system.
+ * @param {[Pair, Pair, Pair]} primaries Chromaticity coordinates (x, y) of red, green and blue.
+ * @param {Triplet | Illuminant} white The white point (XYZ) or the name of a standard illuminant.
+ * @return {Triplet[]} The matrix.
+ */
+export function matrixOf(primaries: [Pair, Pair, Pair], white: Triplet | Illuminant): Triplet[] {
+	const p: Triplet[] = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+	for (let i: number = 0; i < 3; ++i) {
+		const [x, y]: Pair = primaries[i];
+		p[0][i] = x / y;
+		p[1][i] = 1;
+		p[2][i] = (1 - x - y) / y;
+	}
+	const s: Triplet = mulMatVec(invMat(p), whitePointOf(white));
+	return p.map((r: Triplet): Triplet => [r[0] * s[0], r[1] * s[1], r[2] * s[2]]);
+}
+
+function matricesOf(def: RgbSpaceDefinition): Matrices {
+	let ms: Matrices | undefined = MATRICES.get(def);
+	if (!ms) {
+		const w: Triplet = whitePointOf(def.white);
+		const m: Triplet[] = (w === D65_XYZ) ? matrixOf(def.primaries, w) : mulMat(getMatrix(w, D65_XYZ, 'bradford'), matrixOf(def.primaries, w));
+		ms = { toXyz: m, fromXyz: invMat(m) };
+		MATRICES.set(def, ms);
+	}
+	return ms;
+}
+
+
+// XYZ -------------------------------------------------------------------------
+
+
+/**
+ * Convert CIE 1931 XYZ to an RGB color system.
+ * When the white point of the color system is not D65, XYZ is adapted by the Bradford method.
+ * @param {Triplet} xyz XYZ color.
+ * @param {RgbSpaceDefinition} def Definition of the RGB color system.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx The context passed to the transfer function.
+ * @return {Triplet} RGB color.
+ */
+export function fromXyz(xyz: Triplet, def: RgbSpaceDefinition, dest: Triplet = [0, 0, 0], ctx?: Context): Triplet {
+	mulMatVec(matricesOf(def).fromXyz, xyz, dest);
+	dest[0] = def.trc.fromLinear(dest[0], ctx);
+	dest[1] = def.trc.fromLinear(dest[1], ctx);
+	dest[2] = def.trc.fromLinear(dest[2], ctx);
+	return dest;
+}
+
+/**
+ * Convert an RGB color system to CIE 1931 XYZ.
+ * When the white point of the color system is not D65, XYZ is adapted by the Bradford method.
+ * @param {Triplet} rgb RGB color.
+ * @param {RgbSpaceDefinition} def Definition of the RGB color system.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx The context passed to the transfer function.
+ * @return {Triplet} XYZ color.
+ */
+export function toXyz([r, g, b]: Triplet, def: RgbSpaceDefinition, dest: Triplet = [0, 0, 0], ctx?: Context): Triplet {
+	const l: Triplet = [def.trc.toLinear(r, ctx), def.trc.toLinear(g, ctx), def.trc.toLinear(b, ctx)];
+	return mulMatVec(matricesOf(def).toXyz, l, dest);
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+/**
+ * Register an RGB color system so that it can be used by name in convert(), getConverter() and Color.
+ * @param {RgbSpaceDefinition} def Definition of the RGB color system.
+ */
+export function registerRgbSpace(def: RgbSpaceDefinition): void {
+	const name: string = def.name.toLowerCase();
+	if (hasSpace(name)) {
+		throw new Error(`Color space '${name}' is already registered.`);
+	}
+	addEdge('xyz', name, (xyz: Triplet, ctx?: Context): Triplet => fromXyz(xyz, def, [0, 0, 0], ctx));
+	addEdge(name, 'xyz', (rgb: Triplet, ctx?: Context): Triplet => toXyz(rgb, def, [0, 0, 0], ctx));
+	NAMES.add(name);
+}
+
+/**
+ * Check whether a color space is an RGB color system registered by registerRgbSpace.
+ * @param {string} name A color space name.
+ * @return {boolean} True if the color space is a registered RGB color system.
+ */
+export function isRgbSpace(name: string): boolean {
+	return NAMES.has(name.toLowerCase());
+}
+
+registerRgbSpace(DISPLAY_P3);
+registerRgbSpace(REC2020);
+registerRgbSpace(REC2100_PQ);
+registerRgbSpace(REC2100_HLG);
+registerRgbSpace(ADOBE_RGB);
+registerRgbSpace(PROPHOTO_RGB);
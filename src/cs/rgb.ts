@@ -3,19 +3,54 @@
  * Reference: http://www.w3.org/Graphics/Color/sRGB.html
  *
  * @author Takuto Yanagida
- * @version 2024-11-08
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
+import { Context } from '../context';
+import { addEdge } from '../graph';
 
 export { toRgb as fromHsl, fromRgb as toHsl } from './hsl';
+export { toRgb as fromHsv, fromRgb as toHsv } from './hsv';
+export { toRgb as fromHwb, fromRgb as toHwb } from './hwb';
+export { toRgb as fromSrgb, fromRgb as toSrgb } from './srgb';
 
 export const MIN: number = 0;
 export const MAX: number = 255;
 export const INV_MAX: number = 1 / MAX;
 
+/**
+ * Whether the last conversion without a saturation report was saturated.
+ * @deprecated Pass a context with 'saturation' to fromLrgb() instead.
+ */
 export let isSaturated: boolean = false;
 
+/**
+ * Rounding modes of 8-bit RGB values.
+ * 'truncate' is the traditional behavior, and 'none' keeps fractional values.
+ */
+export type Rounding = 'truncate' | 'round' | 'none';
+
+/**
+ * Rounding mode used when a context does not specify 'rounding', which is the traditional truncation.
+ * Both conversions from Linear RGB and from sRGB to 8-bit RGB use it, so that the result does not depend on the path.
+ */
+export const DEFAULT_ROUNDING: Rounding = 'truncate';
+
+/**
+ * Round an RGB value.
+ * @param {number} v A value.
+ * @param {Rounding} rounding Rounding mode.
+ * @return {number} The rounded value.
+ */
+export function quantize(v: number, rounding: Rounding): number {
+	switch (rounding) {
+		case 'truncate': return v | 0;
+		case 'round'   : return Math.round(v) || 0;  // Avoid -0.
+		case 'none'    : return v;
+	}
+}
+
 function checkRange(vs: Triplet, min: number, max: number): boolean {
 	let isSaturated: boolean = false;
 	for (let i: number = 0; i < 3; ++i) {
@@ -41,15 +76,23 @@ function ifn(v: number): number {
 
 /**
  * Convert Linear RGB to sRGB (Gamma 2.2).
+ * The values are clamped to [MIN, MAX]. For unclamped values, use the 'srgb' color space.
  * @param {Triplet} lrgb Linear RGB color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Rounding} rounding Rounding mode.
+ * @param {Context} ctx A context where whether the color is saturated is reported as 'saturation.rgb'.
  * @return {Triplet} sRGB color.
  */
-export function fromLrgb([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	dest[0] = ifn(lr) * MAX | 0;
-	dest[1] = ifn(lg) * MAX | 0;
-	dest[2] = ifn(lb) * MAX | 0;
-	isSaturated = checkRange(dest, MIN, MAX);
+export function fromLrgb([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0], rounding: Rounding = DEFAULT_ROUNDING, ctx: Context = {}): Triplet {
+	dest[0] = quantize(ifn(lr) * MAX, rounding);
+	dest[1] = quantize(ifn(lg) * MAX, rounding);
+	dest[2] = quantize(ifn(lb) * MAX, rounding);
+	const sat: boolean = checkRange(dest, MIN, MAX);
+	if (ctx.saturation) {
+		ctx.saturation.rgb = sat;
+	} else {
+		isSaturated = sat;
+	}
 	return dest;
 }
 
@@ -65,3 +108,10 @@ export function toLrgb([r, g, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
 	dest[2] = fn(b * INV_MAX);
 	return dest;
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('lrgb', 'rgb', (vs: Triplet, ctx?: Context): Triplet => fromLrgb(vs, [0, 0, 0], ctx?.rounding ?? DEFAULT_ROUNDING, ctx));
+addEdge('rgb', 'lrgb', (vs: Triplet): Triplet => toLrgb(vs));
@@ -0,0 +1,103 @@
+/**
+ * This class converts the sRGB color system with floating-point values.
+ * The values are in [0, 1] within the gamut, and are not clamped so that out-of-gamut colors are kept.
+ * Reference: https://www.w3.org/TR/css-color-4/#predefined-sRGB
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { Context } from '../context';
+import { addEdge } from '../graph';
+import { SRGB_TRC } from './rgb-space';
+import { MIN, MAX, DEFAULT_ROUNDING, Rounding, quantize } from './rgb';
+
+
+// LRGB ------------------------------------------------------------------------
+
+
+/**
+ * Convert Linear RGB to sRGB.
+ * @param {Triplet} lrgb Linear RGB color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} sRGB color.
+ */
+export function fromLrgb([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] = SRGB_TRC.fromLinear(lr);
+	dest[1] = SRGB_TRC.fromLinear(lg);
+	dest[2] = SRGB_TRC.fromLinear(lb);
+	return dest;
+}
+
+/**
+ * Convert sRGB to Linear RGB.
+ * @param {Triplet} srgb sRGB color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} Linear RGB color.
+ */
+export function toLrgb([r, g, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] = SRGB_TRC.toLinear(r);
+	dest[1] = SRGB_TRC.toLinear(g);
+	dest[2] = SRGB_TRC.toLinear(b);
+	return dest;
+}
+
+
+// RGB -------------------------------------------------------------------------
+
+
+/**
+ * Convert 8-bit sRGB to sRGB.
+ * @param {Triplet} rgb 8-bit sRGB color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} sRGB color.
+ */
+export function fromRgb([r, g, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] = r / MAX;
+	dest[1] = g / MAX;
+	dest[2] = b / MAX;
+	return dest;
+}
+
+/**
+ * Convert sRGB to 8-bit sRGB.
+ * The values are rounded in the same way as Linear RGB to 8-bit sRGB, and then clamped to [MIN, MAX].
+ * @param {Triplet} srgb sRGB color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Rounding} rounding Rounding mode.
+ * @param {Context} ctx A context where whether the color is saturated is reported as 'saturation.rgb'.
+ * @return {Triplet} 8-bit sRGB color.
+ */
+export function toRgb([r, g, b]: Triplet, dest: Triplet = [0, 0, 0], rounding: Rounding = DEFAULT_ROUNDING, ctx: Context = {}): Triplet {
+	dest[0] = quantize(r * MAX, rounding);
+	dest[1] = quantize(g * MAX, rounding);
+	dest[2] = quantize(b * MAX, rounding);
+	const sat: boolean = dest.some((v: number): boolean => v < MIN || MAX < v);
+	dest[0] = Math.min(Math.max(dest[0], MIN), MAX);
+	dest[1] = Math.min(Math.max(dest[1], MIN), MAX);
+	dest[2] = Math.min(Math.max(dest[2], MIN), MAX);
+	if (ctx.saturation) ctx.saturation.rgb = sat;
+	return dest;
+}
+
+/**
+ * Check whether sRGB is within the gamut.
+ * @param {Triplet} srgb sRGB color.
+ * @param {number} epsilon Tolerance.
+ * @return {boolean} True if the color is within the gamut.
+ */
+export function isInGamut([r, g, b]: Triplet, epsilon: number = 0): boolean {
+	const min: number = -epsilon;
+	const max: number = 1 + epsilon;
+	return min <= r && r <= max && min <= g && g <= max && min <= b && b <= max;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('lrgb', 'srgb', (vs: Triplet): Triplet => fromLrgb(vs));
+addEdge('srgb', 'lrgb', (vs: Triplet): Triplet => toLrgb(vs));
+addEdge('rgb', 'srgb', (vs: Triplet): Triplet => fromRgb(vs));
+addEdge('srgb', 'rgb', (vs: Triplet, ctx?: Context): Triplet => toRgb(vs, [0, 0, 0], ctx?.rounding ?? DEFAULT_ROUNDING, ctx));
@@ -0,0 +1,91 @@
+/**
+ * This class converts the CIE 1976 UCS chromaticity coordinates (u', v') with the luminance Y.
+ * Reference: https://en.wikipedia.org/wiki/CIELUV
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Pair, Triplet } from '../type';
+import { D65_XYZ } from '../const';
+import { addEdge } from '../graph';
+
+/**
+ * Chromaticity coordinates (u', v') of D65.
+ */
+export const D65_UV: Pair = uvOf(D65_XYZ);
+
+function uvOf([x, y, z]: Triplet): Pair {
+	const d: number = x + 15 * y + 3 * z;
+	return [4 * x / d, 9 * y / d];
+}
+
+
+// xy --------------------------------------------------------------------------
+
+
+/**
+ * Convert chromaticity coordinates (x, y) of CIE 1931 to (u', v') of CIE 1976 UCS.
+ * @param {Pair} xy Chromaticity coordinates (x, y).
+ * @return {Pair} Chromaticity coordinates (u', v').
+ */
+export function fromXy([x, y]: Pair): Pair {
+	const d: number = -2 * x + 12 * y + 3;
+	return [4 * x / d, 9 * y / d];
+}
+
+/**
+ * Convert chromaticity coordinates (u', v') of CIE 1976 UCS to (x, y) of CIE 1931.
+ * @param {Pair} uv Chromaticity coordinates (u', v').
+ * @return {Pair} Chromaticity coordinates (x, y).
+ */
+export function toXy([u, v]: Pair): Pair {
+	const d: number = 6 * u - 16 * v + 12;
+	return [9 * u / d, 4 * v / d];
+}
+
+
+// XYZ -------------------------------------------------------------------------
+
+
+/**
+ * Convert CIE 1931 XYZ to u'v'Y.
+ * The chromaticity of black is regarded as that of D65.
+ * @param {Triplet} xyz XYZ color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} u'v'Y color.
+ */
+export function fromXyz(xyz: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const d: number = xyz[0] + 15 * xyz[1] + 3 * xyz[2];
+	const [u, v]: Pair = (d === 0) ? D65_UV : uvOf(xyz);
+	dest[0] = u;
+	dest[1] = v;
+	dest[2] = xyz[1];
+	return dest;
+}
+
+/**
+ * Convert u'v'Y to CIE 1931 XYZ.
+ * @param {Triplet} uvy u'v'Y color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} XYZ color.
+ */
+export function toXyz([u, v, y]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	if (v === 0) {
+		dest[0] = 0;
+		dest[1] = 0;
+		dest[2] = 0;
+		return dest;
+	}
+	dest[0] = y * 9 * u / (4 * v);
+	dest[1] = y;
+	dest[2] = y * (12 - 3 * u - 20 * v) / (4 * v);
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'uvy', (vs: Triplet): Triplet => fromXyz(vs));
+addEdge('uvy', 'xyz', (vs: Triplet): Triplet => toXyz(vs));
@@ -2,12 +2,18 @@
  * This class converts the xyY color system.
  *
  * @author Takuto Yanagida
- * @version 2024-11-08
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
 import { D65_xyz, D65_XYZ } from '../const';
+import { Context } from '../context';
+import { addEdge } from '../graph';
 
+/**
+ * Whether the last conversion without a saturation report was saturated.
+ * @deprecated Pass a context with 'saturation' to toXyz() instead.
+ */
 export let isSaturated: boolean = false;
 
 
@@ -37,22 +43,35 @@ export function fromXyz([x, y, z]: Triplet, dest: Triplet = [0, 0, 0]): Triplet
  * Convert xyY to CIE 1931 XYZ.
  * @param {Triplet} xyy xyY color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context where whether the color is saturated is reported as 'saturation.xyy'.
  * @return {Triplet} XYZ color.
  */
-export function toXyz([sx, sy, y]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function toXyz([sx, sy, y]: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
 	const d0: number = sx * y / sy;
+	let sat: boolean = false;
 	if (!Number.isFinite(d0)) {
-		isSaturated = false;
 		dest[0] = 0;
 		dest[1] = 0;
 		dest[2] = 0;
 	} else {
 		const d1: number = y;
 		const d2: number = (1 - sx - sy) * y / sy;
-		isSaturated = (D65_XYZ[0] < d0 || D65_XYZ[1] < d1 || D65_XYZ[2] < d2);
+		sat = (D65_XYZ[0] < d0 || D65_XYZ[1] < d1 || D65_XYZ[2] < d2);
 		dest[0] = d0;
 		dest[1] = d1;
 		dest[2] = d2;
 	}
+	if (ctx.saturation) {
+		ctx.saturation.xyy = sat;
+	} else {
+		isSaturated = sat;
+	}
 	return dest;
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('xyz', 'xyy', (vs: Triplet): Triplet => fromXyz(vs));
+addEdge('xyy', 'xyz', (vs: Triplet, ctx?: Context): Triplet => toXyz(vs, [0, 0, 0], ctx));
@@ -2,10 +2,11 @@
  * This class converts the CIE 1931 XYZ color system.
  *
  * @author Takuto Yanagida
- * @version 2024-11-08
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
+import { adapt } from '../adaptation';
 
 export { toXyz as fromLrgb, fromXyz as toLrgb } from './lrgb';
 export { toXyz as fromXyy, fromXyz as toXyy } from './xyy';
@@ -24,11 +25,8 @@ export { toXyz as fromMunsell, fromXyz as toMunsell } from './munsell';
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
  * @return {Triplet} XYZ of standard illuminant D65.
  */
-export function fromIlluminantC([x, y, z]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	dest[0] =  0.9972812 * x + -0.0093756 * y + -0.0154171 * z;
-	dest[1] = -0.0010298 * x +  1.0007636 * y +  0.0002084 * z;
-	dest[2] =                                    0.9209267 * z;
-	return dest;
+export function fromIlluminantC(xyz: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	return adapt(xyz, 'C', 'D65', 'von-kries', dest);
 }
 
 /**
@@ -38,9 +36,6 @@ export function fromIlluminantC([x, y, z]: Triplet, dest: Triplet = [0, 0, 0]):
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
  * @return {Triplet} XYZ of standard illuminant C.
  */
-export function toIlluminantC([x, y, z]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
-	dest[0] = 1.0027359 * x +  0.0093941 * y +  0.0167846 * z;
-	dest[1] = 0.0010319 * x +  0.9992466 * y + -0.0002089 * z;
-	dest[2] =                                   1.0858628 * z;
-	return dest;
+export function toIlluminantC(xyz: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	return adapt(xyz, 'D65', 'C', 'von-kries', dest);
 }
@@ -0,0 +1,165 @@
+/**
+ * This class converts the YCbCr color systems of video: BT.601, BT.709 and BT.2020.
+ * YCbCr is computed from gamma-encoded R'G'B' in [0, 1], which is sRGB for BT.601 and BT.709, and Rec. 2020 for BT.2020.
+ * The triplets are the digital code values of Y, Cb and Cr quantized in the range and the bit depth.
+ * Reference: ITU-R BT.601, BT.709 and BT.2020
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { Context } from '../context';
+import { addEdge } from '../graph';
+import { REC2020 } from './rgb-space';
+
+/**
+ * Standards of YCbCr.
+ */
+export type Standard = 'bt601' | 'bt709' | 'bt2020';
+
+/**
+ * Ranges of the code values.
+ * - 'full': Y and C use the whole range of the bit depth (0-255 for 8 bits).
+ * - 'limited': Y uses 16-235 and C uses 16-240 for 8 bits (studio swing).
+ */
+export type Range = 'full' | 'limited';
+
+/**
+ * Options of the quantization.
+ */
+export type YcbcrOption = {
+	range?: Range;
+	bitDepth?: number;
+};
+
+/**
+ * Luma coefficients (Kr, Kb) of the standards.
+ */
+export const COEFFICIENTS: Readonly<Record<Standard, [number, number]>> = Object.freeze({
+	bt601 : [0.299, 0.114],
+	bt709 : [0.2126, 0.0722],
+	bt2020: [0.2627, 0.0593],
+});
+
+/**
+ * Default options: the limited range of 8 bits.
+ */
+export const DEFAULT_OPTION: Required<YcbcrOption> = Object.freeze({ range: 'limited', bitDepth: 8 });
+
+type Quantization = { y0: number, yS: number, c0: number, cS: number, max: number };
+
+function coefficientsOf(standard: Standard): [number, number] {
+	const cs: [number, number] | undefined = COEFFICIENTS[standard];
+	if (!cs) {
+		throw new Error(`Unknown standard of YCbCr: '${standard}'.`);
+	}
+	return cs;
+}
+
+function quantizationOf({ range = DEFAULT_OPTION.range, bitDepth = DEFAULT_OPTION.bitDepth }: YcbcrOption): Quantization {
+	if (!Number.isInteger(bitDepth) || bitDepth < 8) {
+		throw new Error(`Invalid bit depth: ${bitDepth}.`);
+	}
+	const max: number = (1 << bitDepth) - 1;
+	switch (range) {
+		case 'full': {
+			return { y0: 0, yS: max, c0: 1 << (bitDepth - 1), cS: max, max };
+		}
+		case 'limited': {
+			const u: number = 1 << (bitDepth - 8);
+			return { y0: 16 * u, yS: 219 * u, c0: 128 * u, cS: 224 * u, max };
+		}
+	}
+	throw new Error(`Unknown range: '${range}'.`);
+}
+
+
+// RGB -------------------------------------------------------------------------
+
+
+/**
+ * Convert gamma-encoded R'G'B' to YCbCr.
+ * @param {Triplet} rgb R'G'B' color [0, 1].
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Standard} standard A standard of YCbCr.
+ * @param {YcbcrOption} option Options of the quantization.
+ * @return {Triplet} Code values of Y, Cb and Cr.
+ */
+export function fromRgb([r, g, b]: Triplet, dest: Triplet = [0, 0, 0], standard: Standard = 'bt709', option: YcbcrOption = DEFAULT_OPTION): Triplet {
+	const [kr, kb]: [number, number] = coefficientsOf(standard);
+	const { y0, yS, c0, cS, max }: Quantization = quantizationOf(option);
+
+	const y: number = kr * r + (1 - kr - kb) * g + kb * b;
+	const cb: number = (b - y) / (2 * (1 - kb));
+	const cr: number = (r - y) / (2 * (1 - kr));
+
+	dest[0] = clamp(Math.round(y0 + yS * y), max);
+	dest[1] = clamp(Math.round(c0 + cS * cb), max);
+	dest[2] = clamp(Math.round(c0 + cS * cr), max);
+	return dest;
+}
+
+/**
+ * Convert YCbCr to gamma-encoded R'G'B'.
+ * @param {Triplet} ycc Code values of Y, Cb and Cr.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Standard} standard A standard of YCbCr.
+ * @param {YcbcrOption} option Options of the quantization.
+ * @return {Triplet} R'G'B' color [0, 1], which is not clamped.
+ */
+export function toRgb([Y, Cb, Cr]: Triplet, dest: Triplet = [0, 0, 0], standard: Standard = 'bt709', option: YcbcrOption = DEFAULT_OPTION): Triplet {
+	const [kr, kb]: [number, number] = coefficientsOf(standard);
+	const { y0, yS, c0, cS }: Quantization = quantizationOf(option);
+
+	const y: number = (Y - y0) / yS;
+	const cb: number = (Cb - c0) / cS;
+	const cr: number = (Cr - c0) / cS;
+
+	const r: number = y + 2 * (1 - kr) * cr;
+	const b: number = y + 2 * (1 - kb) * cb;
+	dest[0] = r;
+	dest[1] = (y - kr * r - kb * b) / (1 - kr - kb);
+	dest[2] = b;
+	return dest;
+}
+
+// Code values are limited to those representable in the bit depth.
+function clamp(v: number, max: number): number {
+	return Math.min(Math.max(v, 0), max);
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+/**
+ * Check whether code values of YCbCr are broadcast-legal.
+ * The code values must be within the nominal range, and the R'G'B' color must be within [0, 1]
+ * within the tolerance of a half code step.
+ * @param {Triplet} ycc Code values of Y, Cb and Cr.
+ * @param {Standard} standard A standard of YCbCr.
+ * @param {YcbcrOption} option Options of the quantization.
+ * @return {boolean} True if the color is legal.
+ */
+export function isLegal(ycc: Triplet, standard: Standard = 'bt709', option: YcbcrOption = DEFAULT_OPTION): boolean {
+	const { y0, yS, c0, cS }: Quantization = quantizationOf(option);
+	const [Y, Cb, Cr]: Triplet = ycc;
+	if (Y < y0 || y0 + yS < Y) return false;
+	if (Cb < c0 - cS / 2 || c0 + cS / 2 < Cb) return false;
+	if (Cr < c0 - cS / 2 || c0 + cS / 2 < Cr) return false;
+
+	const e: number = 0.5 / yS;
+	return toRgb(ycc, [0, 0, 0], standard, option).every((v: number): boolean => -e <= v && v <= 1 + e);
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('srgb', 'ycbcr601', (vs: Triplet, ctx?: Context): Triplet => fromRgb(vs, [0, 0, 0], 'bt601', ctx?.ycbcr));
+addEdge('ycbcr601', 'srgb', (vs: Triplet, ctx?: Context): Triplet => toRgb(vs, [0, 0, 0], 'bt601', ctx?.ycbcr));
+addEdge('srgb', 'ycbcr709', (vs: Triplet, ctx?: Context): Triplet => fromRgb(vs, [0, 0, 0], 'bt709', ctx?.ycbcr));
+addEdge('ycbcr709', 'srgb', (vs: Triplet, ctx?: Context): Triplet => toRgb(vs, [0, 0, 0], 'bt709', ctx?.ycbcr));
+addEdge(REC2020.name, 'ycbcr2020', (vs: Triplet, ctx?: Context): Triplet => fromRgb(vs, [0, 0, 0], 'bt2020', ctx?.ycbcr));
+addEdge('ycbcr2020', REC2020.name, (vs: Triplet, ctx?: Context): Triplet => toRgb(vs, [0, 0, 0], 'bt2020', ctx?.ycbcr));
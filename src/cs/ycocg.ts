@@ -0,0 +1,49 @@
+/**
+ * This class converts the YCoCg color system.
+ * YCoCg is computed from gamma-encoded sRGB in [0, 1]. Y is [0, 1], and Co and Cg are [-0.5, 0.5].
+ * Reference: https://en.wikipedia.org/wiki/YCoCg
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from '../type';
+import { addEdge } from '../graph';
+
+
+// sRGB ------------------------------------------------------------------------
+
+
+/**
+ * Convert sRGB to YCoCg.
+ * @param {Triplet} srgb sRGB color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} YCoCg color.
+ */
+export function fromSrgb([r, g, b]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] =  0.25 * r + 0.5 * g +  0.25 * b;  // Y[0, 1]
+	dest[1] =  0.5  * r           + -0.5  * b;  // Co[-0.5, 0.5]
+	dest[2] = -0.25 * r + 0.5 * g + -0.25 * b;  // Cg[-0.5, 0.5]
+	return dest;
+}
+
+/**
+ * Convert YCoCg to sRGB.
+ * @param {Triplet} ycocg YCoCg color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} sRGB color.
+ */
+export function toSrgb([y, co, cg]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const t: number = y - cg;
+	dest[0] = t + co;
+	dest[1] = y + cg;
+	dest[2] = t - co;
+	return dest;
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('srgb', 'ycocg', (vs: Triplet): Triplet => fromSrgb(vs));
+addEdge('ycocg', 'srgb', (vs: Triplet): Triplet => toSrgb(vs));
@@ -3,10 +3,11 @@
  * Reference: http://en.wikipedia.org/wiki/YIQ
  *
  * @author Takuto Yanagida
- * @version 2024-11-08
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
+import { addEdge } from '../graph';
 
 
 // LRGB ------------------------------------------------------------------------
@@ -37,3 +38,10 @@ export function toLrgb([y, i, q]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
 	dest[2] = y + -1.1070 * i +  1.7046 * q;  // B[0, 1]
 	return dest;
 }
+
+
+// -----------------------------------------------------------------------------
+
+
+addEdge('lrgb', 'yiq', (vs: Triplet): Triplet => fromLrgb(vs));
+addEdge('yiq', 'lrgb', (vs: Triplet): Triplet => toLrgb(vs));
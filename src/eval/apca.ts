@@ -0,0 +1,114 @@
+/**
+ * Calculation of the lightness contrast of APCA (Accessible Perceptual Contrast Algorithm, 0.0.98G-4g).
+ * APCA is a candidate contrast method of the WCAG 3 draft.
+ * Reference: https://github.com/Myndex/apca-w3
+ * https://git.apcacontrast.com/documentation/APCA_in_a_Nutshell
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from './../type';
+
+const MAIN_TRC = 2.4;
+const S_RCO = 0.2126729, S_GCO = 0.7151522, S_BCO = 0.0721750;
+
+const NORM_BG = 0.56, NORM_TXT = 0.57;
+const REV_TXT = 0.62, REV_BG = 0.65;
+
+const BLK_THRS = 0.022, BLK_CLMP = 1.414;
+const SCALE_BOW = 1.14, SCALE_WOB = 1.14;
+const LO_BOW_OFFSET = 0.027, LO_WOB_OFFSET = 0.027;
+const DELTA_Y_MIN = 0.0005;
+const LO_CLIP = 0.1;
+
+/**
+ * Font weights of the font lookup table.
+ */
+export const FONT_WEIGHTS: readonly number[] = Object.freeze([100, 200, 300, 400, 500, 600, 700, 800, 900]);
+
+/**
+ * Font lookup table, where each row is a font size (px) followed by the minimum Lc of the font weights.
+ * null means that the combination is not recommended for any contrast.
+ */
+export const FONT_LOOKUP_TABLE: readonly (readonly (number | null)[])[] = Object.freeze([
+	[14, null, null, null, 100,  100,  90,   75,   null, null],
+	[15, null, null, null, 100,  90,   75,   70,   null, null],
+	[16, null, null, null, 90,   75,   70,   60,   60,   null],
+	[18, null, null, 100,  75,   70,   60,   55,   55,   55],
+	[21, null, null, 90,   70,   60,   55,   50,   50,   50],
+	[24, null, null, 75,   60,   55,   50,   45,   45,   45],
+	[28, null, 100,  70,   55,   50,   45,   43,   43,   43],
+	[32, null, 90,   65,   50,   45,   43,   40,   40,   40],
+	[36, null, 75,   60,   45,   43,   40,   38,   38,   38],
+	[42, 100,  70,   55,   43,   40,   38,   35,   35,   35],
+	[48, 90,   60,   50,   40,   38,   35,   33,   33,   33],
+	[60, 75,   55,   45,   38,   35,   33,   30,   30,   30],
+	[72, 60,   50,   40,   35,   33,   30,   30,   30,   30],
+	[96, 50,   45,   35,   33,   30,   30,   30,   30,   30],
+].map(r => Object.freeze(r)));
+
+/**
+ * Calculate the screen luminance of APCA.
+ * @param {Triplet} rgb RGB color
+ * @return {number} Screen luminance [0, 1]
+ */
+export function luminanceOfRgb([r, g, b]: Triplet): number {
+	return S_RCO * Math.pow(r / 255, MAIN_TRC) + S_GCO * Math.pow(g / 255, MAIN_TRC) + S_BCO * Math.pow(b / 255, MAIN_TRC);
+}
+
+/**
+ * Calculate the lightness contrast (Lc) of text on a background.
+ * Lc is positive for dark text on a light background, and negative for light text on a dark background.
+ * @param {number} txtY Screen luminance of the text
+ * @param {number} bgY Screen luminance of the background
+ * @return {number} Lc [-108, 106]
+ */
+export function lightnessContrast(txtY: number, bgY: number): number {
+	txtY = softClamp(txtY);
+	bgY = softClamp(bgY);
+	if (Math.abs(bgY - txtY) < DELTA_Y_MIN) return 0;
+
+	if (bgY > txtY) {  // Dark text on a light background
+		const sapc = (Math.pow(bgY, NORM_BG) - Math.pow(txtY, NORM_TXT)) * SCALE_BOW;
+		return (sapc < LO_CLIP) ? 0 : (sapc - LO_BOW_OFFSET) * 100;
+	}
+	const sapc = (Math.pow(bgY, REV_BG) - Math.pow(txtY, REV_TXT)) * SCALE_WOB;
+	return (sapc > -LO_CLIP) ? 0 : (sapc + LO_WOB_OFFSET) * 100;
+}
+
+// Soft clamp of black levels against flare.
+function softClamp(y: number): number {
+	y = Math.max(y, 0);
+	return (y < BLK_THRS) ? y + Math.pow(BLK_THRS - y, BLK_CLMP) : y;
+}
+
+/**
+ * Calculate the lightness contrast (Lc) of text on a background.
+ * @param {Triplet} txt RGB color of the text
+ * @param {Triplet} bg RGB color of the background
+ * @return {number} Lc [-108, 106]
+ */
+export function lightnessContrastOfRgb(txt: Triplet, bg: Triplet): number {
+	return lightnessContrast(luminanceOfRgb(txt), luminanceOfRgb(bg));
+}
+
+/**
+ * Find the minimum font size recommended for a lightness contrast by the font lookup table.
+ * The polarity of Lc is ignored.
+ * @param {number} lc Lc
+ * @param {number} weight Font weight (100, 200, ..., 900)
+ * @return {number | null} Minimum font size (px), or null if no size is recommended
+ */
+export function minimumFontSizeOf(lc: number, weight: number = 400): number | null {
+	const i: number = FONT_WEIGHTS.indexOf(weight);
+	if (i === -1) {
+		throw new Error(`Unknown font weight: ${weight}.`);
+	}
+	const a: number = Math.abs(lc);
+	for (const r of FONT_LOOKUP_TABLE) {
+		const min: number | null = r[i + 1];
+		if (min !== null && min <= a) return r[0];
+	}
+	return null;
+}
@@ -0,0 +1,96 @@
+/**
+ * Calculation of the contrast ratio of WCAG 2.x.
+ * Reference: https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from './../type';
+import { toLrgb } from './../cs/rgb';
+import type { Color } from './../color';
+
+/**
+ * Conformance levels of WCAG.
+ */
+export type WcagLevel = 'AA' | 'AAA';
+
+/**
+ * Sizes of text. Large text is at least 18 point, or 14 point and bold.
+ */
+export type TextSize = 'normal' | 'large';
+
+/**
+ * Minimum contrast ratios of the success criteria 1.4.3 (AA) and 1.4.6 (AAA).
+ */
+export const WCAG_THRESHOLDS: Readonly<Record<WcagLevel, Readonly<Record<TextSize, number>>>> = Object.freeze({
+	AA : Object.freeze({ normal: 4.5, large: 3 }),
+	AAA: Object.freeze({ normal: 7, large: 4.5 }),
+});
+
+/**
+ * Calculate the relative luminance.
+ * @param {Triplet} rgb RGB color
+ * @return {number} Relative luminance [0, 1]
+ */
+export function relativeLuminanceOfRgb(rgb: Triplet): number {
+	const [lr, lg, lb]: Triplet = toLrgb(rgb);
+	return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * Calculate the contrast ratio of two relative luminances.
+ * @param {number} y1 Relative luminance 1
+ * @param {number} y2 Relative luminance 2
+ * @return {number} Contrast ratio [1, 21]
+ */
+export function contrastRatio(y1: number, y2: number): number {
+	return (Math.max(y1, y2) + 0.05) / (Math.min(y1, y2) + 0.05);
+}
+
+/**
+ * Calculate the contrast ratio of two RGB colors.
+ * @param {Triplet} rgb1 RGB color 1
+ * @param {Triplet} rgb2 RGB color 2
+ * @return {number} Contrast ratio [1, 21]
+ */
+export function contrastRatioOfRgb(rgb1: Triplet, rgb2: Triplet): number {
+	return contrastRatio(relativeLuminanceOfRgb(rgb1), relativeLuminanceOfRgb(rgb2));
+}
+
+/**
+ * Composite an RGB color with alpha over an opaque background, as browsers do.
+ * @param {Triplet} rgb RGB color
+ * @param {number} alpha Alpha [0, 1] of the color
+ * @param {Triplet} bg RGB color of the background
+ * @return {Triplet} Composited RGB color, which is not rounded
+ */
+export function compositeRgb([r, g, b]: Triplet, alpha: number, [br, bg, bb]: Triplet): Triplet {
+	return [r * alpha + br * (1 - alpha), g * alpha + bg * (1 - alpha), b * alpha + bb * (1 - alpha)];
+}
+
+/**
+ * Composite a color over an opaque background, if the color is translucent.
+ * @param {Color} c A color
+ * @param {Triplet} bg RGB color of the background
+ * @return {Triplet} Composited RGB color, which is not rounded
+ */
+export function compositeOver(c: Color, bg: Triplet): Triplet {
+	const al: number = c.alpha() as number;
+	return (al < 1) ? compositeRgb(c.asRgb(), al, bg) : c.asRgb();
+}
+
+/**
+ * Check whether a contrast ratio meets a success criterion of WCAG.
+ * @param {number} ratio Contrast ratio
+ * @param {WcagLevel} level Conformance level
+ * @param {TextSize} size Size of text
+ * @return {boolean} True if the contrast ratio is enough
+ */
+export function meetsWcag(ratio: number, level: WcagLevel = 'AA', size: TextSize = 'normal'): boolean {
+	const t: number | undefined = WCAG_THRESHOLDS[level]?.[size];
+	if (t === undefined) {
+		throw new Error(`Unknown criterion: '${level}' for '${size}' text.`);
+	}
+	return t <= ratio;
+}
@@ -2,7 +2,7 @@
  * Calculation of the color difference.
  *
  * @author Takuto Yanagida
- * @version 2024-11-09
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
@@ -22,10 +22,71 @@ export enum NBS {
 };
 
 /**
+ * Factor converting a color difference on the scale of CIELAB (ΔE*ab, and CIE94, CMC l:c and CIEDE2000 alike) to NBS unit.
+ * It does not apply to the differences in other color spaces such as CAM16-UCS, ICtCp and Jzazbz.
  * Dental Materials J. 27(1), 139-144 (2008)
  */
 export const DE_TO_NBS = 0.92;
 
+/**
+ * Languages of the labels of NBS units.
+ */
+export type NbsLanguage = 'en' | 'ja';
+
+/**
+ * Labels of NBS units in English and Japanese, keyed by the names of NBS.
+ */
+export const NBS_LABELS: Readonly<Record<NbsLanguage, Readonly<Record<keyof typeof NBS, string>>>> = Object.freeze({
+	en: Object.freeze({
+		Trace      : 'Trace',
+		Slight     : 'Slight',
+		Noticeable : 'Noticeable',
+		Appreciable: 'Appreciable',
+		Much       : 'Much',
+		VeryMuch   : 'Very Much',
+	}),
+	ja: Object.freeze({
+		Trace      : 'かすかに異なる',
+		Slight     : 'わずかに異なる',
+		Noticeable : '感知し得るほどに異なる',
+		Appreciable: '目立つほどに異なる',
+		Much       : '大いに異なる',
+		VeryMuch   : '非常に大きく異なる',
+	}),
+});
+
+/**
+ * Classification of a color difference by NBS unit
+ */
+export type NbsClassification = {
+	/** NBS unit */
+	nbs: number;
+	/** Category, which is the lower limit of the range */
+	category: NBS;
+	/** Label of the category */
+	label: string;
+};
+
+/**
+ * Classify a color difference by NBS unit
+ * The color difference is converted to NBS unit by DE_TO_NBS.
+ * @param {number} de Color difference on the scale of CIELAB
+ * @param {NbsLanguage} lang Language of the label
+ * @return {NbsClassification} Classification
+ */
+export function classifyByNbs(de: number, lang: NbsLanguage = 'en'): NbsClassification {
+	const labels = NBS_LABELS[lang];
+	if (!labels) {
+		throw new Error(`Unknown language: '${lang}'.`);
+	}
+	const nbs = de * DE_TO_NBS;
+	let category = NBS.Trace;
+	for (const c of [NBS.Slight, NBS.Noticeable, NBS.Appreciable, NBS.Much, NBS.VeryMuch]) {
+		if (c <= nbs) category = c;
+	}
+	return { nbs, category, label: labels[NBS[category] as keyof typeof NBS] };
+}
+
 /**
  * Calculate distance of two vectors
  * @param {Triplet} vs1 vector 1
@@ -46,15 +107,54 @@ export function CIE76([ls1, as1, bs1]: Triplet, [ls2, as2, bs2]: Triplet): numbe
 	return Math.sqrt((ls1 - ls2) * (ls1 - ls2) + (as1 - as2) * (as1 - as2) + (bs1 - bs2) * (bs1 - bs2));
 }
 
+/**
+ * Components of the color difference by CIEDE2000
+ */
+export type Ciede2000Components = {
+	/** Color difference */
+	deltaE: number;
+	/** Lightness difference ΔL' */
+	deltaL: number;
+	/** Chroma difference ΔC' */
+	deltaC: number;
+	/** Hue difference ΔH' */
+	deltaH: number;
+	/** Weighting function for lightness */
+	SL: number;
+	/** Weighting function for chroma */
+	SC: number;
+	/** Weighting function for hue */
+	SH: number;
+	/** Rotation term */
+	RT: number;
+};
+
 /**
  * Color difference calculation method by CIEDE2000
  * Reference: http://www.ece.rochester.edu/~gsharma/ciede2000/ciede2000noteCRNA.pdf
  * http://d.hatena.ne.jp/yoneh/20071227/1198758604
  * @param {Triplet} lab1 L*, a*, b* of CIELAB color 1
  * @param {Triplet} lab2 L*, a*, b* of CIELAB color 2
+ * @param {number} kL Parametric factor for lightness (2 for textiles)
+ * @param {number} kC Parametric factor for chroma
+ * @param {number} kH Parametric factor for hue
  * @return {number} Color difference
  */
-export function CIEDE2000([ls1, as1, bs1]: Triplet, [ls2, as2, bs2]: Triplet): number {
+export function CIEDE2000(lab1: Triplet, lab2: Triplet, kL: number = 1, kC: number = 1, kH: number = 1): number {
+	return CIEDE2000Components(lab1, lab2, kL, kC, kH).deltaE;
+}
+
+/**
+ * Calculate the components of the color difference by CIEDE2000
+ * The differences ΔL', ΔC' and ΔH' are those of color 2 from color 1.
+ * @param {Triplet} lab1 L*, a*, b* of CIELAB color 1
+ * @param {Triplet} lab2 L*, a*, b* of CIELAB color 2
+ * @param {number} kL Parametric factor for lightness (2 for textiles)
+ * @param {number} kC Parametric factor for chroma
+ * @param {number} kH Parametric factor for hue
+ * @return {Ciede2000Components} Components of the color difference
+ */
+export function CIEDE2000Components([ls1, as1, bs1]: Triplet, [ls2, as2, bs2]: Triplet, kL: number = 1, kC: number = 1, kH: number = 1): Ciede2000Components {
 	const C1 = mag(as1, bs1), C2 = mag(as2, bs2);
 	const Cb = (C1 + C2) / 2;
 	const G = 0.5 * (1 - Math.sqrt(Math.pow(Cb, 7) / (Math.pow(Cb, 7) + Math.pow(25, 7))));
@@ -96,9 +196,110 @@ export function CIEDE2000([ls1, as1, bs1]: Triplet, [ls2, as2, bs2]: Triplet): n
 	const SH = 1 + 0.015 * Cbp * T;
 	const RT = -sin(2 * Dth) * RC;
 
-	const kL = 1, kC = 1, kH = 1;
 	const DE = Math.sqrt(sq(DLp / (kL * SL)) + sq(DCp / (kC * SC)) + sq(DHp / (kH * SH)) + RT * (DCp / (kC * SC)) * (DHp / (kH * SH)));
-	return DE;
+	return { deltaE: DE, deltaL: DLp, deltaC: DCp, deltaH: DHp, SL, SC, SH, RT };
+}
+
+/**
+ * Weighting parameters of CIE94
+ */
+export type Cie94Weights = {
+	kL: number;
+	K1: number;
+	K2: number;
+};
+
+/**
+ * Weighting parameters of CIE94 for graphic arts and textiles
+ */
+export const CIE94_WEIGHTS: Readonly<Record<'graphicArts' | 'textiles', Cie94Weights>> = Object.freeze({
+	graphicArts: Object.freeze({ kL: 1, K1: 0.045, K2: 0.015 }),
+	textiles   : Object.freeze({ kL: 2, K1: 0.048, K2: 0.014 }),
+});
+
+/**
+ * Color difference calculation method by CIE94
+ * The formula is asymmetric, where color 1 is the reference.
+ * Reference: https://en.wikipedia.org/wiki/Color_difference#CIE94
+ * @param {Triplet} lab1 L*, a*, b* of CIELAB color 1 (reference)
+ * @param {Triplet} lab2 L*, a*, b* of CIELAB color 2
+ * @param {Cie94Weights} weights Weighting parameters (for graphic arts by default)
+ * @return {number} Color difference
+ */
+export function CIE94([ls1, as1, bs1]: Triplet, [ls2, as2, bs2]: Triplet, { kL, K1, K2 }: Cie94Weights = CIE94_WEIGHTS.graphicArts): number {
+	const C1 = mag(as1, bs1), C2 = mag(as2, bs2);
+	const DL = ls1 - ls2;
+	const DC = C1 - C2;
+	const DH2 = Math.max(0, sq(as1 - as2) + sq(bs1 - bs2) - sq(DC));
+
+	const SL = 1;
+	const SC = 1 + K1 * C1;
+	const SH = 1 + K2 * C1;
+	return Math.sqrt(sq(DL / (kL * SL)) + sq(DC / SC) + DH2 / sq(SH));
+}
+
+/**
+ * Color difference calculation method by CMC l:c
+ * The formula is asymmetric, where color 1 is the reference.
+ * Reference: https://en.wikipedia.org/wiki/Color_difference#CMC_l:c_(1984)
+ * @param {Triplet} lab1 L*, a*, b* of CIELAB color 1 (reference)
+ * @param {Triplet} lab2 L*, a*, b* of CIELAB color 2
+ * @param {number} l Weight of lightness (2 for acceptability, 1 for perceptibility)
+ * @param {number} c Weight of chroma
+ * @return {number} Color difference
+ */
+export function CMC([ls1, as1, bs1]: Triplet, [ls2, as2, bs2]: Triplet, l: number = 2, c: number = 1): number {
+	const C1 = mag(as1, bs1), C2 = mag(as2, bs2);
+	const H1 = (bs1 === 0 && as1 === 0) ? 0 : atan(bs1, as1);
+	const DL = ls1 - ls2;
+	const DC = C1 - C2;
+	const DH2 = Math.max(0, sq(as1 - as2) + sq(bs1 - bs2) - sq(DC));
+
+	const F = Math.sqrt(Math.pow(C1, 4) / (Math.pow(C1, 4) + 1900));
+	const T = (164 <= H1 && H1 <= 345) ? 0.56 + Math.abs(0.2 * cos(H1 + 168)) : 0.36 + Math.abs(0.4 * cos(H1 + 35));
+	const SL = (ls1 < 16) ? 0.511 : 0.040975 * ls1 / (1 + 0.01765 * ls1);
+	const SC = 0.0638 * C1 / (1 + 0.0131 * C1) + 0.638;
+	const SH = SC * (F * T + 1 - F);
+	return Math.sqrt(sq(DL / (l * SL)) + sq(DC / (c * SC)) + DH2 / sq(SH));
+}
+
+/**
+ * Color difference calculation method in CAM16-UCS and its variants
+ * Reference: C. Li, Z. Li, Z. Wang, et al., Comprehensive color solutions: CAM16, CAT16, and CAM16-UCS,
+ * Color Research and Application, vol.42, no.6, pp.703-718, 2017.
+ * @param {Triplet} jab1 J', a', b' of color 1
+ * @param {Triplet} jab2 J', a', b' of color 2
+ * @param {number} kL KL of the color space (1.00 for CAM16-UCS, 0.77 for CAM16-LCD, and 1.24 for CAM16-SCD)
+ * @return {number} Color difference
+ */
+export function CAM16UCS([jp1, ap1, bp1]: Triplet, [jp2, ap2, bp2]: Triplet, kL: number = 1): number {
+	return Math.sqrt(sq((jp1 - jp2) / kL) + sq(ap1 - ap2) + sq(bp1 - bp2));
+}
+
+/**
+ * Color difference calculation method by ΔE ITP
+ * Reference: ITU-R BT.2124
+ * @param {Triplet} itp1 I, Ct, Cp of ICtCp color 1
+ * @param {Triplet} itp2 I, Ct, Cp of ICtCp color 2
+ * @return {number} Color difference (1 is a just noticeable difference)
+ */
+export function ITP([i1, ct1, cp1]: Triplet, [i2, ct2, cp2]: Triplet): number {
+	return 720 * Math.sqrt(sq(i1 - i2) + sq(0.5 * (ct1 - ct2)) + sq(cp1 - cp2));
+}
+
+/**
+ * Color difference calculation method in Jzazbz (ΔEz)
+ * Reference: M. Safdar, G. Cui, Y. J. Kim, and M. R. Luo, Perceptually uniform color space for image signals
+ * including high dynamic range and wide gamut, Optics Express, vol.25, no.13, pp.15131-15151, 2017.
+ * @param {Triplet} jab1 Jz, az, bz of Jzazbz color 1
+ * @param {Triplet} jab2 Jz, az, bz of Jzazbz color 2
+ * @return {number} Color difference
+ */
+export function Ez([jz1, az1, bz1]: Triplet, [jz2, az2, bz2]: Triplet): number {
+	const C1 = mag(az1, bz1), C2 = mag(az2, bz2);
+	const Dh = atan2rad(bz2, az2) - atan2rad(bz1, az1);
+	const DH = 2 * Math.sqrt(C1 * C2) * Math.sin(Dh / 2);
+	return Math.sqrt(sq(jz2 - jz1) + sq(C2 - C1) + sq(DH));
 }
 
 function sq(v: number) { return v * v; }
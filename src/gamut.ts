@@ -0,0 +1,194 @@
+/**
+ * Gamut Mapping
+ * Maps a color into the gamut of an RGB color space such as sRGB or Display P3.
+ * Reference: https://www.w3.org/TR/css-color-4/#gamut-mapping
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from './type';
+import { Context } from './context';
+import { CIEDE2000, distance } from './eval/difference';
+import { getConverter } from './conv';
+import { isRgbSpace } from './cs/rgb-space';
+import { isInGamut as inUnitCube, toRgb as srgbToRgb } from './cs/srgb';
+import { DEFAULT_ROUNDING } from './cs/rgb';
+
+/**
+ * Gamut mapping methods.
+ * - 'clip': Clamps each channel.
+ * - 'css': Reduces the chroma in OKLCh until the clipped color is within the JND, as defined in CSS Color 4.
+ * - 'lch': Reduces the chroma in CIELCh until the color is within the gamut.
+ * - 'minde': Finds the clipped color of the minimum CIEDE2000 difference along the chroma in CIELCh.
+ */
+export type GamutMapping = 'clip' | 'css' | 'lch' | 'minde';
+
+/**
+ * Just noticeable difference in OKLab used by the CSS Color 4 algorithm.
+ */
+export const JND: number = 0.02;
+
+const EPSILON: number = 0.0001;
+const MINDE_STEPS: number = 32;
+
+/**
+ * Check whether a color is within the gamut of an RGB color space.
+ * @param {Triplet} vs A color of the color space 'from'.
+ * @param {string} from A color space name.
+ * @param {string} to A name of an RGB color space ('srgb', 'lrgb' or a registered RGB color space).
+ * @param {Context} ctx A context giving the conversion settings.
+ * @return {boolean} True if the color is within the gamut.
+ */
+export function isInGamut(vs: Triplet, from: string, to: string = 'srgb', ctx: Context = {}): boolean {
+	return inUnitCube(getConverter(from, targetOf(to))(vs, ctx));
+}
+
+/**
+ * Map a color into the gamut of an RGB color space.
+ * When 'to' is 'rgb', the color is mapped to 'srgb' and then converted to 8-bit RGB by the rounding mode of the context.
+ * @param {Triplet} vs A color of the color space 'from'.
+ * @param {string} from A color space name.
+ * @param {string} to A name of an RGB color space ('rgb', 'srgb', 'lrgb' or a registered RGB color space).
+ * @param {GamutMapping} method A gamut mapping method.
+ * @param {Context} ctx A context giving the conversion settings of the color space 'from'.
+ * @return {Triplet} A color of the color space 'to' within the gamut.
+ */
+export function mapToGamut(vs: Triplet, from: string, to: string = 'srgb', method: GamutMapping = 'css', ctx: Context = {}): Triplet {
+	const t: string = targetOf(to);
+	let ret: Triplet;
+	switch (method) {
+		case 'clip' : ret = clip(getConverter(from, t)(vs, ctx)); break;
+		case 'css'  : ret = mapByCss(getConverter(from, 'oklch')(vs, ctx), t); break;
+		case 'lch'  : ret = mapByLch(getConverter(from, 'lch')(vs, ctx), t); break;
+		case 'minde': ret = mapByMinde(getConverter(from, 'lch')(vs, ctx), t); break;
+		default:
+			throw new Error(`Unknown gamut mapping method: '${method}'.`);
+	}
+	return ('rgb' === to.toLowerCase()) ? srgbToRgb(ret, [0, 0, 0], ctx.rounding ?? DEFAULT_ROUNDING, ctx) : ret;
+}
+
+function targetOf(to: string): string {
+	const t: string = to.toLowerCase();
+	if ('rgb' === t) return 'srgb';
+	if ('srgb' === t || 'lrgb' === t || isRgbSpace(t)) return t;
+	throw new Error(`Not an RGB color space: '${to}'.`);
+}
+
+function clip([r, g, b]: Triplet): Triplet {
+	return [Math.min(Math.max(r, 0), 1), Math.min(Math.max(g, 0), 1), Math.min(Math.max(b, 0), 1)];
+}
+
+
+// -----------------------------------------------------------------------------
+
+
+function mapByCss([l, c, h]: Triplet, to: string): Triplet {
+	const toRgb = getConverter('oklch', to);
+	const toOklab = getConverter(to, 'oklab');
+	const toOklabFromOklch = getConverter('oklch', 'oklab');
+
+	// White and black in the coordinates of the target color space, which are not always [1, 1, 1] and [0, 0, 0].
+	if (l >= 1) return clip(toRgb([1, 0, h]));
+	if (l <= 0) return clip(toRgb([0, 0, h]));
+
+	const orig: Triplet = toRgb([l, c, h]);
+	if (inUnitCube(orig)) return orig;
+
+	const deltaEOK = (rgb: Triplet, lch: Triplet): number => distance(toOklab(rgb), toOklabFromOklch(lch));
+
+	let clipped: Triplet = clip(orig);
+	if (deltaEOK(clipped, [l, c, h]) < JND) return clipped;
+
+	let min: number = 0;
+	let max: number = c;
+	let minInGamut: boolean = true;
+
+	while (max - min > EPSILON) {
+		const chroma: number = (min + max) / 2;
+		const cur: Triplet = [l, chroma, h];
+		const rgb: Triplet = toRgb(cur);
+
+		if (minInGamut && inUnitCube(rgb)) {
+			min = chroma;
+			continue;
+		}
+		clipped = clip(rgb);
+		const e: number = deltaEOK(clipped, cur);
+		if (e < JND) {
+			if (JND - e < EPSILON) return clipped;
+			minInGamut = false;
+			min = chroma;
+		} else {
+			max = chroma;
+		}
+	}
+	return clipped;
+}
+
+function mapByLch([l, c, h]: Triplet, to: string): Triplet {
+	const toRgb = getConverter('lch', to);
+
+	if (l >= 100) return clip(toRgb([100, 0, h]));
+	if (l <= 0) return clip(toRgb([0, 0, h]));
+
+	const orig: Triplet = toRgb([l, c, h]);
+	if (inUnitCube(orig)) return orig;
+
+	let min: number = 0;
+	let max: number = c;
+	let rgb: Triplet = toRgb([l, 0, h]);
+
+	while (max - min > EPSILON) {
+		const chroma: number = (min + max) / 2;
+		const cur: Triplet = toRgb([l, chroma, h]);
+		if (inUnitCube(cur)) {
+			min = chroma;
+			rgb = cur;
+		} else {
+			max = chroma;
+		}
+	}
+	return clip(rgb);  // Only for the lightness out of the gamut.
+}
+
+function mapByMinde([l, c, h]: Triplet, to: string): Triplet {
+	const toRgb = getConverter('lch', to);
+	const toLab = getConverter(to, 'lab');
+	const orig: Triplet = getConverter('lch', 'lab')([l, c, h]);
+
+	const rgb: Triplet = toRgb([l, c, h]);
+	if (inUnitCube(rgb)) return rgb;
+
+	const diff = (chroma: number): [number, Triplet] => {
+		const cur: Triplet = clip(toRgb([l, chroma, h]));
+		return [CIEDE2000(orig, toLab(cur)), cur];
+	};
+	let best: number = c;
+	let [bestDe, bestRgb]: [number, Triplet] = diff(c);
+
+	for (let i: number = 0; i < MINDE_STEPS; ++i) {
+		const chroma: number = c * i / MINDE_STEPS;
+		const [de, cur]: [number, Triplet] = diff(chroma);
+		if (de < bestDe) [best, bestDe, bestRgb] = [chroma, de, cur];
+	}
+	// Refine around the best chroma by golden-section search.
+	let min: number = Math.max(0, best - c / MINDE_STEPS);
+	let max: number = Math.min(c, best + c / MINDE_STEPS);
+	const r: number = (Math.sqrt(5) - 1) / 2;
+
+	while (max - min > EPSILON) {
+		const c1: number = max - r * (max - min);
+		const c2: number = min + r * (max - min);
+		const [de1, cur1]: [number, Triplet] = diff(c1);
+		const [de2, cur2]: [number, Triplet] = diff(c2);
+		if (de1 < bestDe) [bestDe, bestRgb] = [de1, cur1];
+		if (de2 < bestDe) [bestDe, bestRgb] = [de2, cur2];
+		if (de1 < de2) {
+			max = c2;
+		} else {
+			min = c1;
+		}
+	}
+	return bestRgb;
+}
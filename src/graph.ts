@@ -0,0 +1,105 @@
+/**
+ * Graph of Color Space Conversions
+ * Each color space module registers the conversions to and from its neighbors as edges,
+ * and a conversion between any two color spaces is composed along the shortest path.
+ *
+ * @author Takuto Yanagida
+ * @version 2026-10-19
+ */
+
+import { Triplet } from './type';
+import { Context } from './context';
+
+/**
+ * Function converting a color of one color space to another.
+ * The context gives the conversion settings and receives the report of saturation.
+ */
+export type Converter = (vs: Triplet, ctx?: Context) => Triplet;
+
+const EDGES: Map<string, Map<string, Converter>> = new Map();
+const CACHE: Map<string, Map<string, Converter>> = new Map();
+
+/**
+ * Register a conversion from one color space to another.
+ * @param {string} from A color space name.
+ * @param {string} to A color space name.
+ * @param {Converter} fn A function converting a color of 'from' to 'to'.
+ */
+export function addEdge(from: string, to: string, fn: Converter): void {
+	if (!EDGES.has(from)) EDGES.set(from, new Map());
+	if (!EDGES.has(to)) EDGES.set(to, new Map());
+	(EDGES.get(from) as Map<string, Converter>).set(to, fn);
+	CACHE.clear();
+}
+
+/**
+ * Check whether a color space is registered.
+ * @param {string} name A color space name.
+ * @return {boolean} True if the color space is registered.
+ */
+export function hasSpace(name: string): boolean {
+	return EDGES.has(name);
+}
+
+/**
+ * Find the shortest path of conversions between two color spaces.
+ * @param {string} from A color space name.
+ * @param {string} to A color space name.
+ * @return {string[]} Color space names from 'from' to 'to', both inclusive.
+ */
+export function findPath(from: string, to: string): string[] {
+	checkSpace(from);
+	checkSpace(to);
+
+	const prev: Map<string, string> = new Map([[from, from]]);
+	const queue: string[] = [from];
+
+	while (queue.length && !prev.has(to)) {
+		const cur = queue.shift() as string;
+		for (const next of (EDGES.get(cur) as Map<string, Converter>).keys()) {
+			if (prev.has(next)) continue;
+			prev.set(next, cur);
+			queue.push(next);
+		}
+	}
+	if (!prev.has(to)) {
+		throw new Error(`No conversion path from '${from}' to '${to}'.`);
+	}
+	const path: string[] = [to];
+	for (let n: string = to; n !== from; n = prev.get(n) as string) {
+		path.unshift(prev.get(n) as string);
+	}
+	return path;
+}
+
+/**
+ * Get a function converting a color from one color space to another.
+ * The composed function is cached until a new edge is registered.
+ * @param {string} from A color space name.
+ * @param {string} to A color space name.
+ * @return {Converter} A function converting a color of 'from' to 'to'.
+ */
+export function getConverter(from: string, to: string): Converter {
+	const cs: Converter | undefined = CACHE.get(from)?.get(to);
+	if (cs) {
+		return cs;
+	}
+	const path: string[] = findPath(from, to);
+	const fns: Converter[] = [];
+	for (let i: number = 1; i < path.length; ++i) {
+		fns.push((EDGES.get(path[i - 1]) as Map<string, Converter>).get(path[i]) as Converter);
+	}
+	const fn: Converter = (vs: Triplet, ctx: Context = {}): Triplet => {
+		for (const f of fns) vs = f(vs, ctx);
+		return vs;
+	};
+	if (!CACHE.has(from)) CACHE.set(from, new Map());
+	(CACHE.get(from) as Map<string, Converter>).set(to, fn);
+	return fn;
+}
+
+function checkSpace(name: string): void {
+	if (!EDGES.has(name)) {
+		throw new Error(`Unknown color space: '${name}'.`);
+	}
+}
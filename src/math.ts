@@ -2,9 +2,11 @@
  * Color-related math.
  *
  * @author Takuto Yanagida
- * @version 2024-08-19
+ * @version 2026-10-19
  */
 
+import { Triplet } from './type';
+
 /**
  * Conversion factor from degrees to radians.
  */
@@ -40,3 +42,54 @@ export function atan2rad(bs: number, as: number): number {
 export function mag(a: number, b: number): number {
 	return Math.sqrt(a * a + b * b);
 }
+
+
+// Matrix ----------------------------------------------------------------------
+
+
+/**
+ * Multiplies a 3x3 matrix by a vector.
+ * @param {Triplet[]} m The matrix.
+ * @param {Triplet} v The vector.
+ * @param {Triplet} dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @returns {Triplet} The product.
+ */
+export function mulMatVec(m: Triplet[], [x, y, z]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	dest[0] = m[0][0] * x + m[0][1] * y + m[0][2] * z;
+	dest[1] = m[1][0] * x + m[1][1] * y + m[1][2] * z;
+	dest[2] = m[2][0] * x + m[2][1] * y + m[2][2] * z;
+	return dest;
+}
+
+/**
+ * Multiplies two 3x3 matrices.
+ * @param {Triplet[]} a The left matrix.
+ * @param {Triplet[]} b The right matrix.
+ * @returns {Triplet[]} The product.
+ */
+export function mulMat(a: Triplet[], b: Triplet[]): Triplet[] {
+	const r: Triplet[] = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+	for (let i: number = 0; i < 3; ++i) {
+		for (let j: number = 0; j < 3; ++j) {
+			r[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+		}
+	}
+	return r;
+}
+
+/**
+ * Calculates the inverse of a 3x3 matrix.
+ * @param {Triplet[]} m The matrix.
+ * @returns {Triplet[]} The inverse.
+ */
+export function invMat([[a, b, c], [d, e, f], [g, h, i]]: Triplet[]): Triplet[] {
+	const A: number = e * i - f * h;
+	const B: number = f * g - d * i;
+	const C: number = d * h - e * g;
+	const det: number = a * A + b * B + c * C;
+	return [
+		[A / det, (c * h - b * i) / det, (b * f - c * e) / det],
+		[B / det, (a * i - c * g) / det, (c * d - a * f) / det],
+		[C / det, (b * g - a * h) / det, (a * e - b * d) / det],
+	];
+}
@@ -2,10 +2,11 @@
  * Color vision simulation.
  *
  * @author Takuto Yanagida
- * @version 2024-08-18
+ * @version 2026-10-19
  */
 
 import { Triplet } from '../type';
+import { Context, OkajimaOption } from '../context';
 
 import { fromXyz as xyz2lms } from '../cs/lms';
 import { fromLrgb as lrgb2xyz } from '../cs/xyz';
@@ -42,6 +43,22 @@ export function brettelD([l, m, s]: Triplet, dest: Triplet = [0, 0, 0]): Triplet
 	return dest;
 }
 
+/**
+ * Simulate tritanopia by the projection onto two half-planes.
+ * The half-planes contain the neutral axis (D65) and the stimuli of 485 nm and 660 nm, respectively,
+ * and are separated by the plane containing the neutral axis and the S axis.
+ * @param {Triplet} lms LMS color.
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} LMS color in tritanopia.
+ */
+export function brettelT([l, m]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	const sep = 0.345173 * l - 0.654787 * m;
+	dest[0] = l;
+	dest[1] = m;
+	dest[2] = (0 <= sep) ? (-0.00212630 * l + 0.0547677 * m) : (-0.0619506 * l + 0.168254 * m);
+	return dest;
+}
+
 
 // -----------------------------------------------------------------------------
 
@@ -60,7 +77,7 @@ let ocAlpha: number = 1;
 let ocBeta: number = 1;
 
 /**
- * Set the options for Okajima correction.
+ * Set the default options for Okajima correction, which are used when a context does not specify 'okajima'.
  *
  * @param {boolean} doCorrection - Whether to apply the Okajima correction.
  * @param {number} [alpha=1] - The alpha parameter for the correction.
@@ -73,20 +90,30 @@ export function setOkajimaCorrectionOption(doCorrection: boolean, alpha: number
 	ocBeta = beta;
 }
 
+function optionOf(ctx: Context): Required<OkajimaOption> {
+	if (ctx.okajima) {
+		const { correction, alpha = 1, beta = 1 } = ctx.okajima;
+		return { correction, alpha, beta };
+	}
+	return { correction: doOc, alpha: ocAlpha, beta: ocBeta };
+}
+
 /**
  * Correct simulation of protanopia
  * @param {number} m Original M of LMS color.
  * @param {Triplet} lms LMS color of protanopia simulation.
  * @param {Triplet} base Base LMS color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {number} alpha The alpha parameter for the correction.
+ * @param {number} beta The beta parameter for the correction.
  * @return {Triplet} LMS color in protanopia.
  */
-export function okajimaCorrectionP(m: number, [l2, m2, s2]: Triplet, base: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function okajimaCorrectionP(m: number, [l2, m2, s2]: Triplet, base: Triplet, dest: Triplet = [0, 0, 0], alpha: number = ocAlpha, beta: number = ocBeta): Triplet {
 	const sp1 = m / base[1];
 	const dp0 = l2 / base[0];
 	const dp1 = m2 / base[1];
 	const dp2 = s2 / base[2];
-	const k = ocBeta * sp1 / (ocAlpha * dp0 + ocBeta * dp1);
+	const k = beta * sp1 / (alpha * dp0 + beta * dp1);
 	dest[0] = (k * dp0) * base[0];
 	dest[1] = (k * dp1) * base[1];
 	dest[2] = (k * dp2) * base[2];
@@ -99,14 +126,16 @@ export function okajimaCorrectionP(m: number, [l2, m2, s2]: Triplet, base: Tripl
  * @param {Triplet} lms LMS color of deuteranopia simulation.
  * @param {Triplet} base Base LMS color.
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {number} alpha The alpha parameter for the correction.
+ * @param {number} beta The beta parameter for the correction.
  * @return {Triplet} LMS color in deuteranopia.
  */
-export function okajimaCorrectionD(l: number, [l2, m2, s2]: Triplet, base: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function okajimaCorrectionD(l: number, [l2, m2, s2]: Triplet, base: Triplet, dest: Triplet = [0, 0, 0], alpha: number = ocAlpha, beta: number = ocBeta): Triplet {
 	const sp0 = l / base[0];
 	const dp0 = l2 / base[0];
 	const dp1 = m2 / base[1];
 	const dp2 = s2 / base[2];
-	const k = ocAlpha * sp0 / (ocAlpha * dp0 + ocBeta * dp1);
+	const k = alpha * sp0 / (alpha * dp0 + beta * dp1);
 	dest[0] = (k * dp0) * base[0];
 	dest[1] = (k * dp1) * base[1];
 	dest[2] = (k * dp2) * base[2];
@@ -121,12 +150,14 @@ export function okajimaCorrectionD(l: number, [l2, m2, s2]: Triplet, base: Tripl
  * Convert LMS to LMS in protanopia (Method 1).
  * @param {Triplet} lms LMS color
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'okajima' specifies the options for Okajima correction.
  * @return {Triplet} LMS color in protanopia
  */
-export function lmsToProtanopia(lms: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function lmsToProtanopia(lms: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
 	brettelP(lms, dest);
-	if (doOc) {
-		okajimaCorrectionP(lms[1], dest, OC_LMS_BASE, dest);
+	const oc: Required<OkajimaOption> = optionOf(ctx);
+	if (oc.correction) {
+		okajimaCorrectionP(lms[1], dest, OC_LMS_BASE, dest, oc.alpha, oc.beta);
 	}
 	return dest;
 }
@@ -135,16 +166,29 @@ export function lmsToProtanopia(lms: Triplet, dest: Triplet = [0, 0, 0]): Triple
  * Convert LMS to LMS in deuteranopia (Method 1).
  * @param {Triplet} lms LMS color
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'okajima' specifies the options for Okajima correction.
  * @return {Triplet} LMS color in deuteranopia
  */
-export function lmsToDeuteranopia(lms: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function lmsToDeuteranopia(lms: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
 	brettelD(lms, dest);
-	if (doOc) {
-		okajimaCorrectionD(lms[0], dest, OC_LMS_BASE, dest);
+	const oc: Required<OkajimaOption> = optionOf(ctx);
+	if (oc.correction) {
+		okajimaCorrectionD(lms[0], dest, OC_LMS_BASE, dest, oc.alpha, oc.beta);
 	}
 	return dest;
 }
 
+/**
+ * Convert LMS to LMS in tritanopia (Method 1).
+ * The Okajima correction is not applied since L and M are kept.
+ * @param {Triplet} lms LMS color
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @return {Triplet} LMS color in tritanopia
+ */
+export function lmsToTritanopia(lms: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+	return brettelT(lms, dest);
+}
+
 
 // -----------------------------------------------------------------------------
 
@@ -153,19 +197,21 @@ export function lmsToDeuteranopia(lms: Triplet, dest: Triplet = [0, 0, 0]): Trip
  * Convert Linear RGB to LMS in protanopia (Method 2).
  * @param {Triplet} lrgb Linear RGB color
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'okajima' specifies the options for Okajima correction.
  * @return {Triplet} LMS color in protanopia
  */
-export function lrgbToProtanopia([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function lrgbToProtanopia([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
 	const lrgb2: Triplet = [
 		0.992052 * lr + 0.003974,
 		0.992052 * lg + 0.003974,
 		0.992052 * lb + 0.003974,
 	];
-	const lms = xyz2lms(lrgb2xyz(lrgb2));
+	const lms = xyz2lms(lrgb2xyz(lrgb2), [0, 0, 0], ctx);
 	brettelP(lms, dest);
 
-	if (doOc) {
-		okajimaCorrectionP(lms[1], dest, OC_LMS_BASE2, dest);
+	const oc: Required<OkajimaOption> = optionOf(ctx);
+	if (oc.correction) {
+		okajimaCorrectionP(lms[1], dest, OC_LMS_BASE2, dest, oc.alpha, oc.beta);
 	}
 	return dest;
 }
@@ -174,19 +220,34 @@ export function lrgbToProtanopia([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0
  * Convert Linear RGB to LMS in deuteranopia (Method 2).
  * @param {Triplet} lrgb Linear RGB color
  * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'okajima' specifies the options for Okajima correction.
  * @return {Triplet} LMS color in deuteranopia
  */
-export function lrgbToDeuteranopia([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0]): Triplet {
+export function lrgbToDeuteranopia([lr, lg, lb]: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
 	const lrgb2: Triplet = [
 		0.957237 * lr + 0.0213814,
 		0.957237 * lg + 0.0213814,
 		0.957237 * lb + 0.0213814,
 	];
-	const lms = xyz2lms(lrgb2xyz(lrgb2));
+	const lms = xyz2lms(lrgb2xyz(lrgb2), [0, 0, 0], ctx);
 	brettelD(lms, dest);
 
-	if (doOc) {
-		okajimaCorrectionD(lms[0], dest, OC_LMS_BASE2, dest);
+	const oc: Required<OkajimaOption> = optionOf(ctx);
+	if (oc.correction) {
+		okajimaCorrectionD(lms[0], dest, OC_LMS_BASE2, dest, oc.alpha, oc.beta);
 	}
 	return dest;
 }
+
+/**
+ * Convert Linear RGB to LMS in tritanopia (Method 2).
+ * Unlike protanopia and deuteranopia, the color is not reduced beforehand, since the reduction keeping
+ * all the results within the gamut would be too large. The results may be out of the gamut.
+ * @param {Triplet} lrgb Linear RGB color
+ * @param {Triplet} dest dest An array where the result will be stored. If not provided, a new array will be created and returned.
+ * @param {Context} ctx A context whose 'lms' specifies the conversion method.
+ * @return {Triplet} LMS color in tritanopia
+ */
+export function lrgbToTritanopia(lrgb: Triplet, dest: Triplet = [0, 0, 0], ctx: Context = {}): Triplet {
+	return brettelT(xyz2lms(lrgb2xyz(lrgb), [0, 0, 0], ctx), dest);
+}
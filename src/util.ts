@@ -2,7 +2,7 @@
  * Functions for Color Space Conversion
  *
  * @author Takuto Yanagida
- * @version 2025-03-01
+ * @version 2026-10-19
  */
 
 import { Triplet } from './type';
@@ -126,13 +126,36 @@ export function parseHsl(str: string): number[] | null {
 	return null;
 }
 
+/**
+ * Parse a CSS HWB color string and return an array of H, W, B, and A values as numbers.
+ * @param {string} str - CSS HWB color string (e.g., "hwb(120 10% 20%)", "hwb(120deg 10% 20% / 0.5)").
+ * @return {number[]} Array of [H, W, B, A] as numbers.
+ */
+export function parseHwb(str: string): number[] | null {
+	const re = /hwb\(\s*([\d.]+)(?:deg)?\s+([\d.]+)%\s+([\d.]+)%\s*(?:\/\s*([\d.]+%?))?\s*\)/i;
+	const m: RegExpMatchArray | null = str.match(re);
+
+	if (m) {
+		const h: number = parseFloat(m[1]);
+		const w: number = parseFloat(m[2]);
+		const b: number = parseFloat(m[3]);
+
+		let a: number = 1;
+		if (m[4] !== undefined) {
+			a = m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]);
+		}
+		return [h, w, b, a];
+	}
+	return null;
+}
+
 /**
  * Parse a CSS Lab color string and return an array of L, a, b, and A values as numbers.
  * @param {string} str - CSS Lab color string (e.g., "lab(50% 20 30)", "lab(50% 20 30 / 0.8)").
  * @return {number[]} Array of [L, a, b, A] as numbers.
  */
 export function parseLab(str: string): number[] | null {
-	const re = /lab\(\s*([\d.]+)%?\s+([\d.-]+)\s+([\d.-]+)\s*(?:\/\s*([\d.]+))?\s*\)/i;
+	const re = /\blab\(\s*([\d.]+)%?\s+([\d.-]+)\s+([\d.-]+)\s*(?:\/\s*([\d.]+))?\s*\)/i;
 	const m: RegExpMatchArray | null = str.match(re);
 
 	if (m) {
@@ -155,7 +178,7 @@ export function parseLab(str: string): number[] | null {
  * @return {number[]} Array of [L, C, H, A] as numbers.
  */
 export function parseLch(str: string): number[] | null {
-	const re = /lch\(\s*([\d.]+)%?\s+([\d.]+)(%)?\s+([\d.]+)(?:deg)?\s*(?:\/\s*([\d.]+))?\s*\)/i;
+	const re = /\blch\(\s*([\d.]+)%?\s+([\d.]+)(%)?\s+([\d.]+)(?:deg)?\s*(?:\/\s*([\d.]+))?\s*\)/i;
 	const m: RegExpMatchArray | null = str.match(re);
 
 	if (m) {
@@ -176,6 +199,121 @@ export function parseLch(str: string): number[] | null {
 }
 
 
+/**
+ * Parse a CSS OKLab color string and return an array of L, a, b, and A values as numbers.
+ * @param {string} str - CSS OKLab color string (e.g., "oklab(40% 0.1 -0.05)", "oklab(0.4 0.1 -0.05 / 0.8)").
+ * @return {number[]} Array of [L, a, b, A] as numbers.
+ */
+export function parseOklab(str: string): number[] | null {
+	const re = /oklab\(\s*([\d.]+%?)\s+([\d.-]+%?)\s+([\d.-]+%?)\s*(?:\/\s*([\d.]+%?))?\s*\)/i;
+	const m: RegExpMatchArray | null = str.match(re);
+
+	if (m) {
+		const l: number = m[1].endsWith('%') ? parseFloat(m[1]) / 100 : parseFloat(m[1]);
+		const a: number = m[2].endsWith('%') ? parseFloat(m[2]) / 100 * 0.4 : parseFloat(m[2]);
+		const b: number = m[3].endsWith('%') ? parseFloat(m[3]) / 100 * 0.4 : parseFloat(m[3]);
+
+		let al: number = 1;
+		if (m[4] !== undefined) {
+			al = m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]);
+		}
+		return [l, a, b, al];
+	}
+	return null;
+}
+
+/**
+ * Parse a CSS OKLCh color string and return an array of L, C, H, and A values as numbers.
+ * @param {string} str - CSS OKLCh color string (e.g., "oklch(60% 0.15 250deg)", "oklch(0.6 0.15 250 / 0.8)").
+ * @return {number[]} Array of [L, C, H, A] as numbers.
+ */
+export function parseOklch(str: string): number[] | null {
+	const re = /oklch\(\s*([\d.]+%?)\s+([\d.]+%?)\s+([\d.]+)(?:deg)?\s*(?:\/\s*([\d.]+%?))?\s*\)/i;
+	const m: RegExpMatchArray | null = str.match(re);
+
+	if (m) {
+		const l: number = m[1].endsWith('%') ? parseFloat(m[1]) / 100 : parseFloat(m[1]);
+		const c: number = m[2].endsWith('%') ? parseFloat(m[2]) / 100 * 0.4 : parseFloat(m[2]);
+		const h: number = parseFloat(m[3]);
+
+		let al: number = 1;
+		if (m[4] !== undefined) {
+			al = m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]);
+		}
+		return [l, c, h, al];
+	}
+	return null;
+}
+
+
+/**
+ * Parse an HSV (HSB) color string in the CSS-like format and return an array of H, S, V, and A values as numbers.
+ * Since CSS has no HSV, the format follows hsl() with the function name 'hsv' or 'hsb'.
+ * @param {string} str - HSV color string (e.g., "hsv(120 50% 80%)", "hsb(120deg 50% 80% / 0.5)").
+ * @return {number[]} Array of [H, S, V, A] as numbers.
+ */
+export function parseHsv(str: string): number[] | null {
+	return parseHueFunction('hs[vb]', str);
+}
+
+/**
+ * Parse an HSLuv color string in the CSS-like format and return an array of H, S, L, and A values as numbers.
+ * @param {string} str - HSLuv color string (e.g., "hsluv(250 80% 40%)", "hsluv(250 80% 40% / 0.5)").
+ * @return {number[]} Array of [H, S, L, A] as numbers.
+ */
+export function parseHsluv(str: string): number[] | null {
+	return parseHueFunction('hsluv', str);
+}
+
+/**
+ * Parse an HPLuv color string in the CSS-like format and return an array of H, P, L, and A values as numbers.
+ * @param {string} str - HPLuv color string (e.g., "hpluv(250 80% 40%)", "hpluv(250 80% 40% / 0.5)").
+ * @return {number[]} Array of [H, P, L, A] as numbers.
+ */
+export function parseHpluv(str: string): number[] | null {
+	return parseHueFunction('hpluv', str);
+}
+
+function parseHueFunction(name: string, str: string): number[] | null {
+	const re = new RegExp(`${name}\\(\\s*([\\d.]+)(?:deg)?\\s+([\\d.]+)%\\s+([\\d.]+)%\\s*(?:\\/\\s*([\\d.]+%?))?\\s*\\)`, 'i');
+	const m: RegExpMatchArray | null = str.match(re);
+
+	if (m) {
+		const h: number = parseFloat(m[1]);
+		const s: number = parseFloat(m[2]);
+		const l: number = parseFloat(m[3]);
+
+		let a: number = 1;
+		if (m[4] !== undefined) {
+			a = m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]);
+		}
+		return [h, s, l, a];
+	}
+	return null;
+}
+
+/**
+ * Parse a CSS color() function string and return an array of the color space name, three values, and A.
+ * Percentages of the values are mapped to [0, 1].
+ * @param {string} str - CSS color() string (e.g., "color(display-p3 1 0.5 0)", "color(rec2020 100% 50% 0% / 0.8)").
+ * @return {[string, number, number, number, number]} Array of [space, v1, v2, v3, A].
+ */
+export function parseColor(str: string): [string, number, number, number, number] | null {
+	const re = /color\(\s*([a-z][\w-]*)\s+([\d.eE+-]+%?)\s+([\d.eE+-]+%?)\s+([\d.eE+-]+%?)\s*(?:\/\s*([\d.]+%?))?\s*\)/i;
+	const m: RegExpMatchArray | null = str.match(re);
+
+	if (m) {
+		const v: (s: string) => number = (s: string): number => s.endsWith('%') ? parseFloat(s) / 100 : parseFloat(s);
+
+		let al: number = 1;
+		if (m[5] !== undefined) {
+			al = v(m[5]);
+		}
+		return [m[1].toLowerCase(), v(m[2]), v(m[3]), v(m[4]), al];
+	}
+	return null;
+}
+
 // -----------------------------------------------------------------------------
 
 
@@ -225,6 +363,21 @@ export function stringifyHsl([h, s, l, al = 1]: [number, number, number, number?
 	return `hsl(${sh} ${ss}% ${sl}%)`;
 }
 
+/**
+ * Convert an array of H, W, B, and A values to a CSS HWB color string.
+ * @param {Triplet | Quartet} hwb - Array of [H, W, B, A] as numbers.
+ * @return {string} CSS HWB color string.
+ */
+export function stringifyHwb([h, w, b, al = 1]: [number, number, number, number?], digits: number = 1): string {
+	const sh: string = toFixed(h, digits);
+	const sw: string = toFixed(w, digits);
+	const sb: string = toFixed(b, digits);
+	if (al !== 1) {
+		return `hwb(${sh} ${sw}% ${sb}% / ${al})`;
+	}
+	return `hwb(${sh} ${sw}% ${sb}%)`;
+}
+
 /**
  * Convert an array of L, a, b, and A values to a CSS Lab color string.
  * @param {Triplet | Quartet} lab - Array of [L, a, b, A] as numbers.
@@ -255,6 +408,89 @@ export function stringifyLch([l, c, h, al = 1]: [number, number, number, number?
 	return `lch(${sl}% ${sc} ${sh})`;
 }
 
+/**
+ * Convert an array of L, a, b, and A values to a CSS OKLab color string.
+ * @param {Triplet | Quartet} lab - Array of [L, a, b, A] as numbers.
+ * @return {string} CSS OKLab color string.
+ */
+export function stringifyOklab([l, a, b, al = 1]: [number, number, number, number?], digits: number = 4): string {
+	const sl: string = toFixed(l * 100, digits);
+	const sa: string = toFixed(a, digits);
+	const sb: string = toFixed(b, digits);
+	if (al !== 1) {
+		return `oklab(${sl}% ${sa} ${sb} / ${al})`;
+	}
+	return `oklab(${sl}% ${sa} ${sb})`;
+}
+
+/**
+ * Convert an array of L, C, H, and A values to a CSS OKLCh color string.
+ * @param {Triplet | Quartet} lch - Array of [L, C, H, A] as numbers.
+ * @return {string} CSS OKLCh color string.
+ */
+export function stringifyOklch([l, c, h, al = 1]: [number, number, number, number?], digits: number = 4): string {
+	const sl: string = toFixed(l * 100, digits);
+	const sc: string = toFixed(c, digits);
+	const sh: string = toFixed(h, digits);
+	if (al !== 1) {
+		return `oklch(${sl}% ${sc} ${sh} / ${al})`;
+	}
+	return `oklch(${sl}% ${sc} ${sh})`;
+}
+
+/**
+ * Convert an array of H, S, V, and A values to an HSV color string in the CSS-like format.
+ * @param {Triplet | Quartet} hsv - Array of [H, S, V, A] as numbers.
+ * @return {string} HSV color string.
+ */
+export function stringifyHsv([h, s, v, al = 1]: [number, number, number, number?], digits: number = 1): string {
+	return stringifyHueFunction('hsv', [h, s, v, al], digits);
+}
+
+/**
+ * Convert an array of H, S, L, and A values to an HSLuv color string in the CSS-like format.
+ * @param {Triplet | Quartet} hsl - Array of [H, S, L, A] as numbers.
+ * @return {string} HSLuv color string.
+ */
+export function stringifyHsluv([h, s, l, al = 1]: [number, number, number, number?], digits: number = 1): string {
+	return stringifyHueFunction('hsluv', [h, s, l, al], digits);
+}
+
+/**
+ * Convert an array of H, P, L, and A values to an HPLuv color string in the CSS-like format.
+ * @param {Triplet | Quartet} hpl - Array of [H, P, L, A] as numbers.
+ * @return {string} HPLuv color string.
+ */
+export function stringifyHpluv([h, p, l, al = 1]: [number, number, number, number?], digits: number = 1): string {
+	return stringifyHueFunction('hpluv', [h, p, l, al], digits);
+}
+
+function stringifyHueFunction(name: string, [h, s, l, al]: [number, number, number, number], digits: number): string {
+	const sh: string = toFixed(h, digits);
+	const ss: string = toFixed(s, digits);
+	const sl: string = toFixed(l, digits);
+	if (al !== 1) {
+		return `${name}(${sh} ${ss}% ${sl}% / ${al})`;
+	}
+	return `${name}(${sh} ${ss}% ${sl}%)`;
+}
+
+/**
+ * Convert the color space name and an array of three values and A to a CSS color() function string.
+ * @param {string} space - The color space name of CSS color().
+ * @param {Triplet | Quartet} vs - Array of [v1, v2, v3, A] as numbers.
+ * @return {string} CSS color() string.
+ */
+export function stringifyColor(space: string, [v1, v2, v3, al = 1]: [number, number, number, number?], digits: number = 4): string {
+	const s1: string = toFixed(v1, digits);
+	const s2: string = toFixed(v2, digits);
+	const s3: string = toFixed(v3, digits);
+	if (al !== 1) {
+		return `color(${space} ${s1} ${s2} ${s3} / ${al})`;
+	}
+	return `color(${space} ${s1} ${s2} ${s3})`;
+}
+
 /**
  * Returns a string representation of a number with a fixed number of digits.
  * @param {number} num - Number to be converted.